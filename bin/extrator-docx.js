@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/**
+ * Extrator de itens DOCX (e ODT/HTML) pela linha de comando: o mesmo nucleo da tela (src/core),
+ * rodando no Node com o parser XML do @xmldom/xmldom.
+ *
+ *   extrator-docx entrada.docx -o saida.xlsx --rule code_only --log
+ *
+ * O formato de saida vem da extensao de `-o` (.xlsx, .csv ou .json).
+ */
+
+import { readdir, readFile, stat, writeFile } from "node:fs/promises";
+import { basename, dirname, extname, join, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  CODE_PRESETS,
+  DEFAULT_DETECTION,
+  compileCodeMatcher,
+  compileKeywordMatchers,
+  compileSectionMatcher,
+  INPUT_EXTENSIONS,
+  extractItemsFromDocx,
+  errorInfo,
+  fmtInt,
+  isInputName,
+  mergeExtractions,
+} from "../src/core/extract.js";
+import { AGG_RULES, MATRIX_DIMENSIONS, aggregateItems, buildMatrix, consolidatedItems } from "../src/core/aggregate.js";
+import { applyCatalog, indexCatalog, readCatalogFile } from "../src/core/catalog.js";
+import { annotateDocx, annotatedName } from "../src/core/annotate.js";
+import { applyProfile, describeProfile, matchesProfile, parseProfilesJson } from "../src/core/profiles.js";
+import {
+  CSV_FORMATS,
+  buildLogText,
+  buildSummaryRows,
+  buildWorkbook,
+  csvText,
+  jsonText,
+  safeBaseName,
+  workbookBytes,
+} from "../src/core/export.js";
+
+const USAGE = `Uso: extrator-docx <arquivo | pasta>... [opcoes]
+
+Entradas: ${INPUT_EXTENSIONS.join(", ")} (o formato e reconhecido pelo conteudo)
+
+Saida
+  -o, --output <arquivo>   .xlsx (padrao), .csv ou .json; padrao: itens_<documento>.xlsx
+      --csv <formato>      ${Object.keys(CSV_FORMATS).join(" | ")} (padrao: ptbr)
+      --log                grava tambem o log em <saida>_log.txt
+      --anotar             grava uma copia de cada DOCX com as linhas extraidas (verde) e ignoradas
+                           (amarelo, com comentario do motivo) em anotado_<arquivo>, na pasta da saida
+
+Perfil
+      --perfil <arquivo>   JSON de perfis exportado pela tela; as opcoes abaixo, quando dadas, prevalecem
+      --perfil-nome <nome> perfil do arquivo a usar (padrao: o primeiro)
+
+Consolidacao
+      --rule <regra>       ${AGG_RULES.map((r) => r.v).join(" | ")} (padrao: code_desc)
+      --por-secao          soma separada por secao
+      --catalogo <arquivo> confere os itens com um catalogo (.xlsx ou .csv)
+      --matriz <colunas>   aba "Matriz" no .xlsx com colunas por ${MATRIX_DIMENSIONS.map((d) => d.v).join(" | ")}
+
+Deteccao
+      --keywords <lista>   palavras do cabecalho, separadas por virgula (padrao: itens)
+      --contains           aceita cabecalho que contenha a palavra (padrao: exato)
+      --header-rows <n>    linhas de cabecalho procuradas (padrao: 1)
+      --secao <padrao>     prefixo ou /regex/ dos titulos de secao
+      --original           le o texto antes das alteracoes controladas
+      --cabecalho-rodape   inclui tabelas de cabecalhos e rodapes
+      --sem-caixas         ignora tabelas em caixas de texto
+      --padroes <lista>    padroes prontos de codigo, separados por virgula:
+                           ${CODE_PRESETS.map((p) => p.id).join(", ")}
+      --codigo <regex>     padrao proprio do codigo (pode repetir); sem padroes: 17.4, 13.12...
+      --normalizar <lista> antes de somar, separados por virgula: zeros (02.01.005 = 2.1.5),
+                           separadores (A-1 = A 1), acentos, pontuacao, espacos (fck25 = fck 25)
+      --nd-valor           mantem #N/D como valor (padrao: conta como celula vazia)
+
+  -h, --help               mostra esta ajuda`;
+
+const OPTIONS = {
+  output: { type: "string", short: "o" },
+  csv: { type: "string", default: "ptbr" },
+  log: { type: "boolean", default: false },
+  anotar: { type: "boolean", default: false },
+  perfil: { type: "string" },
+  "perfil-nome": { type: "string" },
+  rule: { type: "string" },
+  "por-secao": { type: "boolean" },
+  catalogo: { type: "string" },
+  matriz: { type: "string" },
+  keywords: { type: "string" },
+  contains: { type: "boolean" },
+  "header-rows": { type: "string" },
+  secao: { type: "string" },
+  original: { type: "boolean" },
+  "cabecalho-rodape": { type: "boolean" },
+  "sem-caixas": { type: "boolean" },
+  padroes: { type: "string" },
+  codigo: { type: "string", multiple: true },
+  normalizar: { type: "string" },
+  "nd-valor": { type: "boolean" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const OUTPUT_FORMATS = [".xlsx", ".csv", ".json"];
+
+class UsageError extends Error {}
+
+/** "nome_2.ext", "nome_3.ext"... enquanto o nome ja estiver em `used`. */
+function uniqueName(name, used) {
+  const ext = extname(name);
+  let out = name;
+  for (let i = 2; used.has(out); i++) out = `${name.slice(0, name.length - ext.length)}_${i}${ext}`;
+  used.add(out);
+  return out;
+}
+
+/**
+ * Arquivos das entradas; pastas entram com os DOCX/ODT/HTML de primeiro nivel (sem os "~$" do Word).
+ * `name` identifica o arquivo nos itens e nas saidas: o caminho relativo a pasta de entrada
+ * ("obra/orcamento.docx") ou o nome do arquivo, sem repetir no lote.
+ * @returns {Promise<{ path: string; name: string }[]>}
+ */
+async function collectInputs(paths) {
+  const out = [];
+  const used = new Set();
+  for (const p of paths) {
+    const info = await stat(p).catch(() => null);
+    if (!info) throw new UsageError(`Entrada nao encontrada: ${p}`);
+    if (!info.isDirectory()) {
+      out.push({ path: p, name: uniqueName(basename(p), used) });
+      continue;
+    }
+    const root = basename(resolve(p));
+    const names = (await readdir(p))
+      .filter(isInputName)
+      .sort((a, b) => a.localeCompare(b, "pt-BR"));
+    out.push(...names.map((n) => ({ path: join(p, n), name: uniqueName(`${root}/${n}`, used) })));
+  }
+  if (!out.length) throw new UsageError(`Nenhum arquivo ${INPUT_EXTENSIONS.join(", ")} nas entradas.`);
+  return out;
+}
+
+async function readAsFile(path, name = basename(path)) {
+  return new File([await readFile(path)], name);
+}
+
+/** Perfil escolhido do JSON de `--perfil` (o primeiro, ou o de `--perfil-nome`). */
+async function loadProfile(values) {
+  if (!values.perfil) {
+    if (values["perfil-nome"]) throw new UsageError("--perfil-nome exige --perfil.");
+    return null;
+  }
+  let profiles;
+  try {
+    profiles = parseProfilesJson(await readFile(values.perfil, "utf8"));
+  } catch (err) {
+    throw new UsageError(`${values.perfil}: ${err?.message ?? err}`);
+  }
+  const name = values["perfil-nome"];
+  const profile = name ? profiles.find((p) => p.name === name) : profiles[0];
+  if (!profile) throw new UsageError(`Perfil nao encontrado em ${values.perfil}: ${name}`);
+  return profile;
+}
+
+const NORMALIZE_OPTIONS = {
+  zeros: ["codeNormalize", "zeros"],
+  separadores: ["codeNormalize", "separators"],
+  acentos: ["descNormalize", "accents"],
+  pontuacao: ["descNormalize", "punctuation"],
+  espacos: ["descNormalize", "spaces"],
+};
+
+function listOption(value) {
+  return value.split(",").map((k) => k.trim()).filter(Boolean);
+}
+
+/** `--normalizar zeros,acentos,...` no formato de `codeNormalize` e `descNormalize`. */
+function keyNormalizeFrom(value, base) {
+  if (value === undefined) return { codeNormalize: base.codeNormalize, descNormalize: base.descNormalize };
+  const out = { codeNormalize: { ...DEFAULT_DETECTION.codeNormalize }, descNormalize: { ...DEFAULT_DETECTION.descNormalize } };
+  listOption(value).forEach((k) => {
+    if (!NORMALIZE_OPTIONS[k]) {
+      throw new UsageError(`--normalizar desconhecido: ${k} (use ${Object.keys(NORMALIZE_OPTIONS).join(", ")})`);
+    }
+    const [group, key] = NORMALIZE_OPTIONS[k];
+    out[group][key] = true;
+  });
+  return out;
+}
+
+/** Deteccao do perfil (ou padrao) com as opcoes dadas na linha de comando por cima. */
+function detectionFrom(values, profile) {
+  const base = profile ? applyProfile(profile, DEFAULT_DETECTION) : DEFAULT_DETECTION;
+  const headerRows = values["header-rows"] === undefined ? base.headerRows : Number(values["header-rows"]);
+  if (!Number.isInteger(headerRows) || headerRows < 1) throw new UsageError("--header-rows deve ser um inteiro >= 1.");
+
+  const detection = {
+    ...base,
+    keywords: values.keywords ? listOption(values.keywords) : base.keywords,
+    matchMode: values.contains ? "contains" : base.matchMode,
+    headerRows,
+    sectionPattern: values.secao ?? base.sectionPattern,
+    revisions: values.original ? "original" : base.revisions,
+    headerFooter: values["cabecalho-rodape"] ?? base.headerFooter,
+    textBoxes: values["sem-caixas"] ? false : base.textBoxes,
+    codePresets: values.padroes === undefined ? base.codePresets : listOption(values.padroes),
+    codePattern: values.codigo ? values.codigo.join("\n") : base.codePattern,
+    ...keyNormalizeFrom(values.normalizar, base),
+    ndAsEmpty: values["nd-valor"] ? false : base.ndAsEmpty,
+  };
+  try {
+    compileKeywordMatchers(detection);
+    compileSectionMatcher(detection.sectionPattern);
+    compileCodeMatcher(detection);
+  } catch (err) {
+    throw new UsageError(`Configuracao de deteccao invalida: ${err?.message ?? err}`);
+  }
+  return detection;
+}
+
+async function run(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!positionals.length) throw new UsageError("Informe ao menos um arquivo (DOCX, ODT ou HTML) ou pasta.");
+  if (!CSV_FORMATS[values.csv]) throw new UsageError(`Formato CSV desconhecido: ${values.csv}`);
+
+  const profile = await loadProfile(values);
+  const rule = values.rule ?? profile?.aggRule ?? "code_desc";
+  const bySection = values["por-secao"] ?? profile?.aggBySection ?? false;
+  if (!AGG_RULES.some((r) => r.v === rule)) throw new UsageError(`Regra desconhecida: ${rule}`);
+  const detection = detectionFrom(values, profile);
+  const profileLabel = profile ? describeProfile(profile, !matchesProfile(profile, detection, rule, bySection)) : "";
+
+  const inputs = await collectInputs(positionals);
+  const fileName = inputs.length === 1 ? inputs[0].name : `${inputs.length} arquivos`;
+  const output = resolve(values.output ?? `itens_${inputs.length === 1 ? safeBaseName(inputs[0].name) : "lote"}.xlsx`);
+  const format = extname(output).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`Extensao de saida nao suportada: ${format || "(nenhuma)"} (use ${OUTPUT_FORMATS.join(", ")})`);
+  }
+
+  if (values.matriz !== undefined) {
+    if (!MATRIX_DIMENSIONS.some((d) => d.v === values.matriz)) throw new UsageError(`Dimensao de matriz desconhecida: ${values.matriz}`);
+    if (format !== ".xlsx") throw new UsageError("--matriz exige saida .xlsx.");
+  }
+
+  const catalog = values.catalogo ? await readCatalogFile(await readAsFile(values.catalogo)) : null;
+  const keyOptions = { codeNormalize: detection.codeNormalize, descNormalize: detection.descNormalize };
+  const catalogIndex = catalog ? indexCatalog(catalog, keyOptions) : null;
+
+  const runs = [];
+  for (const { path, name } of inputs) {
+    try {
+      runs.push({ name, ...(await extractItemsFromDocx(await readAsFile(path, name), { detection })) });
+    } catch (err) {
+      runs.push({ name, error: errorInfo(err) });
+    }
+  }
+
+  const { items: extracted, meta } = mergeExtractions(runs);
+  const items = applyCatalog(extracted, catalogIndex, keyOptions);
+  const failed = meta.files.filter((f) => !f.ok);
+  failed.forEach((f) => console.error(`${f.name}: ERRO - ${f.error}`));
+
+  const aggregated = items.length
+    ? consolidatedItems(
+        aggregateItems(items, rule, { ...keyOptions, bySection }),
+        rule,
+        catalogIndex,
+        keyOptions
+      )
+    : [];
+
+  if (values.log) {
+    const statusLines = [
+      !items.length
+        ? failed.length === inputs.length
+          ? "Erro"
+          : "Sem dados"
+        : failed.length
+        ? `Extracao concluida com ${failed.length} arquivo(s) com erro`
+        : "Extracao concluida",
+    ];
+    const logPath = `${output.slice(0, -format.length)}_log.txt`;
+    const log = buildLogText({ fileName, statusLines, meta, items, aggregated, detection, profile: profileLabel, catalog });
+    await writeFile(logPath, log, "utf8");
+    console.error(`Log: ${logPath}`);
+  }
+
+  if (values.anotar) {
+    const ignored = meta.ignored_details;
+    const written = new Set();
+    for (const [i, { path, name }] of inputs.entries()) {
+      if (!meta.files[i].ok || meta.files[i].formato !== "docx") continue;
+      const annotatedPath = join(dirname(output), uniqueName(annotatedName(name), written));
+      const { data, extraidos, ignorados } = await annotateDocx(await readAsFile(path, name), { items, ignored, detection });
+      await writeFile(annotatedPath, data);
+      console.error(`Anotado: ${annotatedPath} (${extraidos} extraidas, ${ignorados} ignoradas)`);
+    }
+  }
+
+  if (!items.length) {
+    console.error("Nenhum item extraido. Verifique as palavras-chave de deteccao.");
+    return 1;
+  }
+
+  if (format === ".csv") {
+    await writeFile(output, csvText(items, values.csv), "utf8");
+  } else if (format === ".json") {
+    await writeFile(output, jsonText({ items, meta, fileName, detection }), "utf8");
+  } else {
+    const matrix = values.matriz ? buildMatrix(items, rule, values.matriz, keyOptions) : undefined;
+    const summary = buildSummaryRows({
+      fileName,
+      meta,
+      detection,
+      profile: profileLabel,
+      aggRule: rule,
+      bySection,
+      aggregated,
+      matrix,
+      catalog,
+    });
+    const wb = buildWorkbook({ items, aggregated, matrix, ignored: meta.ignored_details, summary });
+    await writeFile(output, await workbookBytes(wb));
+  }
+
+  console.error(
+    `${fmtInt(meta.rows_extracted)} itens (${fmtInt(aggregated.length)} consolidados), ${fmtInt(
+      meta.rows_ignored
+    )} linhas ignoradas -> ${output}`
+  );
+  return failed.length ? 1 : 0;
+}
+
+run(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    const usage = err instanceof UsageError || err?.code?.startsWith?.("ERR_PARSE_ARGS");
+    console.error(usage ? `${err.message}\n\n${USAGE}` : `Erro: ${err?.message ?? err}`);
+    process.exitCode = usage ? 2 : 1;
+  }
+);
@@ -1,5 +1,5 @@
-﻿import React, { useCallback, useMemo, useRef, useState } from "react";
-import { AnimatePresence, motion } from "framer-motion";
+﻿import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { AnimatePresence, motion as Motion } from "framer-motion";
 import {
   CloudUpload,
   FileText,
@@ -9,62 +9,177 @@ import {
   AlertTriangle,
   Info,
   Sigma,
+  FolderOpen,
+  Search,
+  BookOpen,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Plus,
+  GitCompare,
+  ClipboardCopy,
+  FileJson,
+  FileSpreadsheet,
+  X,
+  Save,
 } from "lucide-react";
-import * as XLSX from "xlsx";
 import JSZip from "jszip";
+import {
+  CODE_PRESETS,
+  COLUMN_FIELDS,
+  DEFAULT_DETECTION,
+  IGNORE_REASONS,
+  CLIPBOARD_NAME,
+  INPUT_EXTENSIONS,
+  INPUT_FORMATS,
+  checkItemTotal,
+  clipboardFile,
+  compileCodeMatcher,
+  compileKeywordMatchers,
+  compileSectionMatcher,
+  describeError,
+  fmtInt,
+  fmtQty,
+  foldText,
+  isInputName,
+  itemFromIgnored,
+  mergeExtractions,
+  norm,
+  parseQuantity,
+} from "./core/extract.js";
+import { extractInWorker, listTablesInWorker } from "./core/extractClient.js";
+import {
+  AGG_RULES,
+  MATRIX_DIMENSIONS,
+  aggregateItems,
+  buildMatrix,
+  consolidatedItems,
+  describeConflicts,
+  ruleLabel,
+} from "./core/aggregate.js";
+import { applyCatalog, indexCatalog, readCatalogFile } from "./core/catalog.js";
+import { DOCX_MIME, annotateDocx, annotatedName } from "./core/annotate.js";
+import {
+  applyProfile,
+  describeProfile,
+  makeProfile,
+  matchesProfile,
+  normalizeProfile,
+  parseProfilesJson,
+  profilesJson,
+} from "./core/profiles.js";
+import {
+  clearHistory,
+  deleteRun,
+  historyAvailable,
+  listRuns,
+  loadRunResult,
+  saveRun,
+  sha256Hex,
+  updateRunResult,
+} from "./core/history.js";
+import {
+  XLSX_MIME,
+  buildDelimited,
+  buildDiffWorkbook,
+  buildLogText,
+  buildSummaryRows,
+  buildWorkbook,
+  conflictLogLines,
+  csvText,
+  itemColumns,
+  jsonText,
+  safeBaseName,
+  workbookBytes,
+} from "./core/export.js";
+import { diffItems } from "./core/compare.js";
 
 /**
  * Extrator de Itens DOCX (Online)
  * Layout com CSS proprio + hierarquia visual.
  */
 
-const CODE_RE = /^\s*\d+(?:\.\d+)?\s*$/;
+/** Chave do catalogo de referencia salvo no navegador. */
+const CATALOG_STORAGE_KEY = "extrator-docx:catalogo";
+const PROFILES_STORAGE_KEY = "extrator-docx:perfis";
+const ACTIVE_PROFILE_STORAGE_KEY = "extrator-docx:perfil-ativo";
 
-/** @typedef {{ codigo: string; descricao: string; quantidade_raw: string; quantidade: number; origem?: string }} Item */
+/** @typedef {{ name: string; phase: "idle" | "work" | "ok" | "err"; message: string }} FileStatus */
+
+/** `accept` dos seletores de arquivo; o formato de fato e reconhecido pelo conteudo. */
+const INPUT_ACCEPT = INPUT_EXTENSIONS.join(",");
 
 function cn(...xs) {
   return xs.filter(Boolean).join(" ");
 }
 
-function norm(s) {
-  return (s ?? "").replace(/\u00A0/g, " ").trim();
+/** Prefixo do status de um arquivo com o formato lido ("ODT | "). */
+function formatPrefix(v) {
+  const f = INPUT_FORMATS.find((x) => x.v === v);
+  return f ? `${f.label} | ` : "";
 }
 
-function fmtInt(n) {
-  try {
-    return new Intl.NumberFormat("pt-BR").format(n);
-  } catch {
-    return String(n);
-  }
+function batchLabel(files) {
+  if (!files?.length) return "";
+  if (files.length === 1) return files[0].name;
+  return `${files.length} arquivos`;
 }
 
-function fmtQty(q) {
-  if (!Number.isFinite(q)) return "";
-  try {
-    return new Intl.NumberFormat("pt-BR", { maximumFractionDigits: 6 }).format(q);
-  } catch {
-    return String(q);
-  }
+function batchBaseName(files) {
+  if (!files?.length) return "documento";
+  if (files.length === 1) return safeBaseName(files[0].name);
+  return `lote_${files.length}_arquivos`;
 }
 
-function parsePtNumber(s) {
-  const t = norm(s);
-  if (!t) return NaN;
-  const cleaned = t.replace(/\./g, "").replace(/,/g, ".");
-  const n = Number(cleaned);
-  return Number.isFinite(n) ? n : NaN;
+/**
+ * Arquivo com o caminho relativo da pasta no nome ("obra/orcamento.docx"): itens, lote e copias
+ * anotadas passam a distinguir arquivos de mesmo nome em pastas diferentes.
+ */
+function withRelativeName(f, path) {
+  return path && path !== f.name ? new File([f], path, { type: f.type, lastModified: f.lastModified }) : f;
 }
 
-function safeBaseName(name) {
-  const base = String(name || "documento")
-    .replace(/\.docx$/i, "")
-    .replace(/[^a-zA-Z0-9\-_. ]+/g, "_")
-    .trim();
-  return base || "documento";
+function fileKey(f) {
+  return `${f.name}|${f.size}|${f.lastModified}`;
 }
 
-function makeName(docxName, prefix, ext) {
-  return `${prefix}_${safeBaseName(docxName)}.${ext}`;
+/**
+ * Le recursivamente uma entrada do drag-and-drop (arquivo ou pasta).
+ * As entradas precisam ser obtidas de forma sincrona no evento de drop.
+ */
+function readEntryFiles(entry) {
+  if (!entry) return Promise.resolve([]);
+
+  if (entry.isFile) {
+    return new Promise((resolve) =>
+      entry.file(
+        (f) => resolve([withRelativeName(f, entry.fullPath.replace(/^\//, ""))]),
+        () => resolve([])
+      )
+    );
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const entries = [];
+    return new Promise((resolve) => {
+      const next = () =>
+        reader.readEntries(
+          (batch) => {
+            if (batch.length) {
+              entries.push(...batch);
+              next();
+              return;
+            }
+            Promise.all(entries.map(readEntryFiles)).then((nested) => resolve(nested.flat()));
+          },
+          () => resolve([])
+        );
+      next();
+    });
+  }
+
+  return Promise.resolve([]);
 }
 
 function isInIframe() {
@@ -116,202 +231,249 @@ async function saveFile({ filename, mime, data, hint }) {
   fallbackDownload({ filename, mime, data });
 }
 
-function buildXlsx(items, filenameBase) {
-  const rows = items.map((it) => ({
-    Codigo: it.codigo,
-    Descricao: it.descricao,
-    Quantidade: Number.isFinite(it.quantidade) ? it.quantidade : it.quantidade_raw,
-  }));
-
-  const ws = XLSX.utils.json_to_sheet(rows);
-  const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, "Itens");
-  ws["!cols"] = [{ wch: 16 }, { wch: 56 }, { wch: 14 }];
-
-  const out = XLSX.write(wb, { bookType: "xlsx", type: "array" });
-  const blob = new Blob([out], {
-    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-  });
-
-  void saveFile({
+async function saveWorkbook(wb, filenameBase) {
+  const out = await workbookBytes(wb);
+  await saveFile({
     filename: `${filenameBase}.xlsx`,
-    mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-    data: blob,
+    mime: XLSX_MIME,
+    data: new Blob([out], { type: XLSX_MIME }),
     hint: "xlsx",
   });
 }
 
-function buildLogText({ fileName, statusLines, meta, items, aggregated }) {
-  const now = new Date();
-  const header = [
-    "TM Sempre Tecnologia - Extrator de Itens DOCX",
-    `Data: ${now.toLocaleString("pt-BR")}`,
-    `Arquivo: ${fileName || "(nenhum)"}`,
-    "",
-    "--- Status ---",
-    ...statusLines.map((s) => `- ${s}`),
-    "",
-    "--- Metricas ---",
-    `Tabelas totais no DOCX: ${meta?.tables_total ?? 0}`,
-    `Tabelas identificadas como 'Itens': ${meta?.itens_tables ?? 0}`,
-    `Linhas extraidas (total): ${meta?.rows_extracted ?? 0}`,
-    `Linhas ignoradas: ${meta?.rows_ignored ?? 0}`,
-    aggregated ? `Itens unicos (somados): ${aggregated.length}` : "",
-    "",
-  ].filter(Boolean);
+/**
+ * @param {Parameters<typeof buildWorkbook>[0]} data
+ * @param {string} filenameBase
+ */
+async function buildXlsx(data, filenameBase) {
+  await saveWorkbook(buildWorkbook(data), filenameBase);
+}
 
-  const ignored = (meta?.ignored_details ?? []).slice(0, 300);
-  const ignoredBlock = ignored.length
-    ? [
-        "--- Detalhes ignorados (amostra) ---",
-        ...ignored.map((d) => `- ${d}`),
-        ignored.length < (meta?.ignored_details ?? []).length
-          ? `... (${(meta?.ignored_details ?? []).length - ignored.length} a mais)`
-          : "",
-        "",
-      ].filter(Boolean)
-    : [];
+async function exportCsv(items, filenameBase, format) {
+  const mime = "text/csv;charset=utf-8";
+  await saveFile({
+    filename: `${filenameBase}.csv`,
+    mime,
+    data: new Blob([csvText(items, format)], { type: mime }),
+    hint: "csv",
+  });
+}
 
-  const sample = (items ?? []).slice(0, 20).map(
-    (it, i) =>
-      `${String(i + 1).padStart(2, "0")}. ${it.codigo} | ${it.descricao} | qtd=${it.quantidade_raw}`
-  );
+async function exportJson(data, filenameBase) {
+  const mime = "application/json;charset=utf-8";
+  await saveFile({
+    filename: `${filenameBase}.json`,
+    mime,
+    data: new Blob([jsonText(data)], { type: mime }),
+    hint: "json",
+  });
+}
 
-  return [...header, ...ignoredBlock, "--- Saida (amostra) ---", ...sample].join("\n");
+async function exportLog(text, filenameBase) {
+  const mime = "text/plain;charset=utf-8";
+  await saveFile({
+    filename: `${filenameBase}.txt`,
+    mime,
+    data: new Blob([text], { type: mime }),
+    hint: "txt",
+  });
 }
 
-function xmlTextOf(node) {
-  const ts = node.getElementsByTagName("w:t");
-  let out = "";
-  for (let i = 0; i < ts.length; i++) out += ts[i].textContent ?? "";
-  return norm(out);
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
 }
 
-function pickQuantityFromRow(cellsText) {
-  if (cellsText.length >= 3) {
-    const q = norm(cellsText[2]);
-    if (q && q.toUpperCase() !== "#N/D") return q;
+/**
+ * Copia os itens como tabela: HTML (colado como celulas no Excel / Google Planilhas)
+ * e TSV como texto simples. Sem ClipboardItem, copia so o TSV.
+ */
+async function copyItemsTable(items) {
+  const tsv = buildDelimited(items, "tsv");
+  const columns = itemColumns(items);
+  const html = `<table><thead><tr>${columns.map((c) => `<th>${escapeHtml(c.header)}</th>`).join("")}</tr></thead><tbody>${items
+    .map(
+      (it) =>
+        `<tr>${columns
+          .map((c) => {
+            const v = c.value(it);
+            return `<td>${escapeHtml(typeof v === "number" ? fmtQty(v) : v)}</td>`;
+          })
+          .join("")}</tr>`
+    )
+    .join("")}</tbody></table>`;
+
+  if (typeof ClipboardItem !== "undefined" && navigator.clipboard?.write) {
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        "text/plain": new Blob([tsv], { type: "text/plain" }),
+        "text/html": new Blob([html], { type: "text/html" }),
+      }),
+    ]);
+    return;
   }
-  const joined = cellsText.join(" ");
-  const m = joined.match(/(\d{1,3}(?:\.\d{3})*,\d+|\d+,\d+|\d+)/);
-  return m?.[1] ?? "";
+  await navigator.clipboard.writeText(tsv);
 }
 
-async function extractItemsFromDocx(file) {
-  const buf = await file.arrayBuffer();
-  const zip = await JSZip.loadAsync(buf);
-
-  const docXml = await zip.file("word/document.xml")?.async("string");
-  if (!docXml) throw new Error("Nao foi possivel ler word/document.xml do DOCX.");
-
-  const parser = new DOMParser();
-  const xml = parser.parseFromString(docXml, "application/xml");
-  const perr = xml.getElementsByTagName("parsererror");
-  if (perr?.length) throw new Error("Falha ao interpretar o XML do DOCX.");
-
-  const tables = Array.from(xml.getElementsByTagName("w:tbl"));
-
-  /** @type {Item[]} */
-  const results = [];
-  /** @type {string[]} */
-  const ignored = [];
-  let itensTables = 0;
-
-  tables.forEach((tbl, tIndex) => {
-    const rows = Array.from(tbl.getElementsByTagName("w:tr"));
-    if (!rows.length) return;
-
-    const headerCells = Array.from(rows[0].getElementsByTagName("w:tc"));
-    const headerTexts = headerCells.map((tc) => xmlTextOf(tc));
-    const isItens = headerTexts.some((t) => norm(t).toLowerCase() === "itens");
-    if (!isItens) return;
-
-    itensTables += 1;
+function loadStoredCatalog() {
+  try {
+    const raw = localStorage.getItem(CATALOG_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
 
-    rows.slice(1).forEach((tr, rOffset) => {
-      const rNumber = rOffset + 2;
-      const tNumber = tIndex + 1;
+/** Salva o catalogo; retorna false quando o navegador recusa (cota do localStorage). */
+function storeCatalog(catalog) {
+  try {
+    if (catalog) localStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify(catalog));
+    else localStorage.removeItem(CATALOG_STORAGE_KEY);
+    return true;
+  } catch (e) {
+    console.warn("Nao foi possivel salvar o catalogo no navegador.", e);
+    return false;
+  }
+}
 
-      const tcs = Array.from(tr.getElementsByTagName("w:tc"));
-      if (!tcs.length) {
-        ignored.push(`T${tNumber} L${rNumber}: skip_empty_row`);
-        return;
+/** Perfis salvos; entradas que nao passam na validacao sao descartadas. */
+function loadStoredProfiles() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || "[]");
+    return (Array.isArray(raw) ? raw : []).flatMap((p) => {
+      try {
+        return [normalizeProfile(p)];
+      } catch (e) {
+        console.warn("Perfil salvo descartado.", e);
+        return [];
       }
+    });
+  } catch {
+    return [];
+  }
+}
 
-      const cellsText = tcs.map((tc) => xmlTextOf(tc));
-      const code = norm(cellsText[0] ?? "");
-      const desc = norm(cellsText[1] ?? "");
+function storeProfiles(profiles, activeName) {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    if (activeName) localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, activeName);
+    else localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+  } catch (e) {
+    console.warn("Nao foi possivel salvar os perfis no navegador.", e);
+  }
+}
 
-      if (!code || code.toUpperCase() === "#N/D") {
-        ignored.push(`T${tNumber} L${rNumber}: skip_code_empty_or_ND`);
-        return;
-      }
-      if (!CODE_RE.test(code)) {
-        ignored.push(`T${tNumber} L${rNumber}: skip_code_invalid ${code}`);
-        return;
-      }
+/** Perfis salvos e opcoes iniciais da tela (as do perfil ativo, se houver). */
+function loadInitialSettings() {
+  const profiles = loadStoredProfiles();
+  let activeName = "";
+  try {
+    activeName = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) || "";
+  } catch {
+    activeName = "";
+  }
+  const active = profiles.find((p) => p.name === activeName) ?? null;
+  return {
+    profiles,
+    activeName: active ? active.name : "",
+    detection: active ? applyProfile(active, DEFAULT_DETECTION) : DEFAULT_DETECTION,
+    aggRule: active?.aggRule ?? "code_desc",
+    aggBySection: active?.aggBySection ?? false,
+  };
+}
 
-      const qtyRaw = pickQuantityFromRow(cellsText);
-      if (!qtyRaw || qtyRaw.toUpperCase() === "#N/D") {
-        ignored.push(`T${tNumber} L${rNumber}: skip_qty_empty_or_ND ${code}`);
-        return;
-      }
+/** Opcoes de normalizacao da chave de soma (DetectionConfig.codeNormalize / descNormalize). */
+const KEY_NORMALIZE_OPTIONS = [
+  { group: "codeNormalize", key: "zeros", label: "Codigo sem zeros a esquerda", hint: "02.01.005 = 2.1.5" },
+  { group: "codeNormalize", key: "separators", label: "Codigo com qualquer separador", hint: "C-1234 = C 1234" },
+  { group: "descNormalize", key: "accents", label: "Descricao sem acentos", hint: "\u00C1gua = Agua" },
+  { group: "descNormalize", key: "punctuation", label: "Descricao sem pontuacao", hint: "Tubo, PVC = Tubo PVC" },
+  { group: "descNormalize", key: "spaces", label: "Descricao sem espacos extras", hint: "fck25 = fck 25" },
+];
 
-      const qty = parsePtNumber(qtyRaw);
+/** Campos que podem ser editados na grade de resultados. */
+const EDITABLE_FIELDS = ["codigo", "descricao", "quantidade"];
 
-      results.push({
-        codigo: code,
-        descricao: desc,
-        quantidade_raw: qtyRaw,
-        quantidade: qty,
-        origem: `T${tNumber}/L${rNumber}`,
-      });
-    });
-  });
+/**
+ * Aplica uma edicao manual e recalcula o que depende dela (quantidade numerica,
+ * total calculado, padrao do codigo, conferencia com o catalogo).
+ * @param {Item} it
+ */
+function reviseItem(it, field, value, catalogIndex, codeMatcher, keyOptions) {
+  const v = norm(value);
+  let next = { ...it, editado: true };
+
+  if (field === "quantidade") {
+    const parsed = parseQuantity(v);
+    next.quantidade_raw = v;
+    next.quantidade = parsed.value;
+    if (parsed.warning) next.quantidade_aviso = parsed.warning;
+    else delete next.quantidade_aviso;
+    if (!next.unidade && parsed.unit) next.unidade = parsed.unit;
+    if ("preco_unit" in it) Object.assign(next, checkItemTotal(next.quantidade, it.preco_unit, it.total));
+  } else {
+    next[field] = v;
+    if (field === "codigo") next.codigo_padrao = codeMatcher.match(v);
+    if (catalogIndex?.size) next = applyCatalog([next], catalogIndex, keyOptions)[0];
+  }
 
-  const meta = {
-    tables_total: tables.length,
-    itens_tables: itensTables,
-    rows_extracted: results.length,
-    rows_ignored: ignored.length,
-    ignored_details: ignored,
-  };
+  return next;
+}
 
-  return { items: results, meta };
+function auditValue(v) {
+  return v === undefined || v === null || v === "" ? "(vazio)" : `"${v}"`;
 }
 
-function aggregateItems(items, rule) {
-  /** @type {Map<string, {codigo:string, descricao:string, quantidade:number}>} */
-  const map = new Map();
+/** Bloco do log com as alteracoes manuais feitas na grade. */
+function formatAuditBlock(audit, itemCount) {
+  if (!audit.length) return [];
+  return [
+    "--- Alteracoes manuais (auditoria) ---",
+    `Itens apos edicao: ${itemCount}`,
+    ...audit.map((a) => {
+      const when = new Date(a.at).toLocaleString("pt-BR");
+      const where = `${a.arquivo ? `${a.arquivo} ` : ""}${a.origem ?? ""}`.trim();
+      if (a.acao === "editar") return `- ${when} | editar | ${where} | ${a.campo}: ${auditValue(a.antes)} -> ${auditValue(a.depois)}`;
+      if (a.acao === "excluir") return `- ${when} | excluir | ${where} | ${a.codigo} | ${a.descricao}`;
+      return `- ${when} | incluir ignorada (${a.motivo}) | ${where} | ${a.codigo} | ${a.descricao} | qtd=${a.quantidade_raw}`;
+    }),
+    "",
+  ];
+}
 
-  const keyOf = (it) => {
-    if (rule === "code_only") return norm(it.codigo).toLowerCase();
-    if (rule === "desc_only") return norm(it.descricao).toLowerCase();
-    return `${norm(it.codigo).toLowerCase()}|${norm(it.descricao).toLowerCase()}`;
-  };
+/** Bloco do log com a amostra do consolidado e os conflitos de chave ("" sem consolidado). */
+function consolidatedLogBlock(ag) {
+  if (!ag?.length) return "";
+  const conflicts = conflictLogLines(ag);
+  return `\n\n--- Consolidado (amostra) ---\n${ag
+    .slice(0, 10)
+    .map(
+      (x, i) =>
+        `${String(i + 1).padStart(2, "0")}. ${x.secao ? `[${x.secao}] ` : ""}${x.codigo} | ${x.descricao} | qtd=${fmtQty(
+          x.quantidade
+        )}${Number.isFinite(x.total) ? ` | total=${fmtQty(x.total)}` : ""}${
+          x.qtd_pendentes ? ` | ${x.qtd_pendentes} qtd. nao lida(s)` : ""
+        } | ${x.linhas} linha(s)`
+    )
+    .join("\n")}${conflicts.length ? `\n\n${conflicts.join("\n")}` : ""}`;
+}
 
-  items.forEach((it) => {
-    const key = keyOf(it);
-    const prev = map.get(key);
-    const q = Number.isFinite(it.quantidade) ? it.quantidade : parsePtNumber(it.quantidade_raw);
-    const safeQ = Number.isFinite(q) ? q : 0;
-
-    if (!prev) {
-      map.set(key, {
-        codigo: rule === "desc_only" ? "" : it.codigo,
-        descricao: rule === "code_only" ? "" : it.descricao,
-        quantidade: safeQ,
-      });
-    } else {
-      prev.quantidade += safeQ;
-    }
-  });
+/** Log da extracao com o bloco de auditoria, quando houve alteracao manual. */
+function logWithAudit(logText, audit, itemCount) {
+  return audit?.length ? [logText, "", ...formatAuditBlock(audit, itemCount)].join("\n") : logText;
+}
 
-  return Array.from(map.values()).sort((a, b) => {
-    const ak = `${a.codigo} ${a.descricao}`.trim().toLowerCase();
-    const bk = `${b.codigo} ${b.descricao}`.trim().toLowerCase();
-    return ak.localeCompare(bk, "pt-BR");
-  });
+/** Texto de uma mensagem de progresso do worker. */
+function progressText(p) {
+  if (p.stage === "unzip") return "Lendo o arquivo...";
+  if (p.stage === "parse") return `Lendo XML (${p.part})...`;
+  return `Tabela ${fmtInt(p.current)} de ${fmtInt(p.total)}`;
+}
+
+/** Fracao concluida do arquivo atual: abrir e ler o XML contam 20%, as tabelas o resto. */
+function progressFraction(p) {
+  if (p.stage === "unzip") return 0.05;
+  if (p.stage === "parse") return 0.15;
+  return 0.2 + (0.8 * p.current) / Math.max(1, p.total);
 }
 
 function Badge({ kind, icon, children }) {
@@ -332,73 +494,1323 @@ function Badge({ kind, icon, children }) {
   );
 }
 
-function StatCard({ label, value, sub }) {
+function StatCard({ label, value, sub }) {
+  return (
+    <div className="stat-card">
+      <div className="stat-card__label">{label}</div>
+      <div className="stat-card__value">{value}</div>
+      {sub ? <div className="stat-card__sub">{sub}</div> : null}
+    </div>
+  );
+}
+
+function Section({ title, desc, right, children }) {
+  return (
+    <section className="panel">
+      <div className="panel__header">
+        <div>
+          <h2 className="panel__title">{title}</h2>
+          {desc ? <p className="panel__desc">{desc}</p> : null}
+        </div>
+        {right ? <div className="panel__right">{right}</div> : null}
+      </div>
+      {children}
+    </section>
+  );
+}
+
+function FileList({ statuses }) {
+  if (!statuses.length) return null;
+
+  return (
+    <div className="file-list">
+      {statuses.map((st, i) => (
+        <div key={`${st.name}-${i}`} className={cn("file-list__item", `file-list__item--${st.phase}`)}>
+          <span className="file-list__name">{st.name}</span>
+          <span className="file-list__msg">{st.message}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function DetectionOptions({ value, onChange, keywordsText, onKeywordsText, tables, onScan, scanning, canScan, disabled }) {
+  const selected = new Set(value.selected);
+
+  const toggle = (key) => {
+    const next = new Set(selected);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    onChange({ ...value, selected: Array.from(next) });
+  };
+
+  return (
+    <details className="options">
+      <summary className="options__summary">Deteccao de tabelas</summary>
+
+      <div className="rule-grid">
+        {[
+          { v: "auto", label: "Automatica (palavras-chave)" },
+          { v: "manual", label: "Escolher tabelas manualmente" },
+        ].map((opt) => (
+          <label key={opt.v} className="rule-card">
+            <input
+              type="radio"
+              name="detect-mode"
+              value={opt.v}
+              checked={value.mode === opt.v}
+              disabled={disabled}
+              onChange={() => onChange({ ...value, mode: opt.v })}
+            />
+            {opt.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="options__grid">
+        <label className="field">
+          <span className="field__label">Palavras-chave do cabecalho (uma por linha; /regex/ permitido)</span>
+          <textarea
+            className="field__input"
+            rows={4}
+            value={keywordsText}
+            disabled={disabled}
+            onChange={(e) => onKeywordsText(e.target.value)}
+          />
+        </label>
+
+        <div className="options__col">
+          <label className="field">
+            <span className="field__label">Comparacao (sem acentos / maiusculas)</span>
+            <select
+              className="field__input"
+              value={value.matchMode}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, matchMode: e.target.value })}
+            >
+              <option value="exact">Celula exata</option>
+              <option value="contains">Celula contem o texto</option>
+            </select>
+          </label>
+
+          <label className="field">
+            <span className="field__label">Linhas iniciais examinadas</span>
+            <input
+              className="field__input"
+              type="number"
+              min={1}
+              max={10}
+              value={value.headerRows}
+              disabled={disabled}
+              onChange={(e) =>
+                onChange({ ...value, headerRows: Math.min(10, Math.max(1, Number(e.target.value) || 1)) })
+              }
+            />
+          </label>
+
+          <label className="field">
+            <span className="field__label">Titulo de secao (alem dos estilos Titulo 1, 2...; texto inicial ou /regex/)</span>
+            <input
+              className="field__input"
+              placeholder='Ex.: "Ambiente:" ou /^bloco /'
+              value={value.sectionPattern}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, sectionPattern: e.target.value })}
+            />
+          </label>
+        </div>
+
+        <div className="options__col">
+          <label className="field">
+            <span className="field__label">Alteracoes controladas (revisoes)</span>
+            <select
+              className="field__input"
+              value={value.revisions}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, revisions: e.target.value })}
+            >
+              <option value="accept">Aceitar todas (texto final)</option>
+              <option value="original">Texto original (antes das alteracoes)</option>
+            </select>
+          </label>
+
+          <label className="field">
+            <span className="field__label">Regex proprias do codigo (uma por linha)</span>
+            <textarea
+              className="field__input"
+              rows={2}
+              placeholder={"Ex.: ^FDE-\\d+$"}
+              value={value.codePattern}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, codePattern: e.target.value })}
+            />
+          </label>
+        </div>
+
+        <div className="options__col">
+          <label className="rule-card">
+            <input
+              type="checkbox"
+              checked={value.headerFooter}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, headerFooter: e.target.checked })}
+            />
+            Incluir tabelas de cabecalho e rodape
+          </label>
+          <label className="rule-card">
+            <input
+              type="checkbox"
+              checked={value.textBoxes}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, textBoxes: e.target.checked })}
+            />
+            Incluir tabelas em caixas de texto
+          </label>
+          <label className="rule-card">
+            <input
+              type="checkbox"
+              checked={value.ndAsEmpty}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, ndAsEmpty: e.target.checked })}
+            />
+            Tratar #N/D como celula vazia
+          </label>
+        </div>
+      </div>
+
+      <div className="field__label" style={{ marginTop: "12px" }}>
+        Padroes de codigo aceitos (nenhum marcado e sem regex propria = Numerico)
+      </div>
+      <div className="code-presets">
+        {CODE_PRESETS.map((p) => (
+          <label key={p.id} className="rule-card">
+            <input
+              type="checkbox"
+              checked={value.codePresets.includes(p.id)}
+              disabled={disabled}
+              onChange={(e) =>
+                onChange({
+                  ...value,
+                  codePresets: e.target.checked
+                    ? CODE_PRESETS.filter((x) => x.id === p.id || value.codePresets.includes(x.id)).map((x) => x.id)
+                    : value.codePresets.filter((id) => id !== p.id),
+                })
+              }
+            />
+            {p.label}
+            <span className="rule-card__hint">{p.example}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="field__label" style={{ marginTop: "12px" }}>
+        Ao somar, considerar iguais
+      </div>
+      <div className="code-presets">
+        {KEY_NORMALIZE_OPTIONS.map(({ group, key, label, hint }) => (
+          <label key={`${group}.${key}`} className="rule-card">
+            <input
+              type="checkbox"
+              checked={value[group][key]}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...value, [group]: { ...value[group], [key]: e.target.checked } })}
+            />
+            {label}
+            <span className="rule-card__hint">{hint}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="field__label" style={{ marginTop: "12px" }}>
+        Colunas fixas para todas as tabelas (numero da coluna; vazio = pelo cabecalho)
+      </div>
+      <div className="mapping__fields">
+        {COLUMN_FIELDS.map(({ field, label }) => (
+          <label key={field} className="field">
+            <span className="field__label">{label}</span>
+            <input
+              className="field__input"
+              type="number"
+              min={1}
+              value={Number.isInteger(value.columns[field]) ? value.columns[field] + 1 : ""}
+              disabled={disabled}
+              onChange={(e) => {
+                const n = Number(e.target.value);
+                const columns = { ...value.columns };
+                if (e.target.value && Number.isInteger(n) && n >= 1) columns[field] = n - 1;
+                else delete columns[field];
+                onChange({ ...value, columns });
+              }}
+            />
+          </label>
+        ))}
+      </div>
+
+      {value.mode === "manual" ? (
+        <div className="options__manual">
+          <div className="actions">
+            <button type="button" onClick={onScan} disabled={disabled || scanning || !canScan} className="btn btn--outline">
+              {scanning ? <Loader2 size={16} className="spin" /> : <Search size={16} />}
+              Listar tabelas
+            </button>
+          </div>
+
+          {tables.length ? (
+            <div className="table-pick">
+              {tables.map((t) => (
+                <label key={t.key} className={cn("table-pick__item", selected.has(t.key) && "table-pick__item--on")}>
+                  <input type="checkbox" checked={selected.has(t.key)} onChange={() => toggle(t.key)} />
+                  <div className="table-pick__body">
+                    <div className="table-pick__title">
+                      {t.arquivo} | {t.label} | {t.rows} linhas{t.autoMatch ? " | detectada" : ""}
+                    </div>
+                    {t.preview.map((cells, i) => (
+                      <div key={i} className="table-pick__row">
+                        {cells.map((c) => c || "-").join(" | ") || "(vazia)"}
+                      </div>
+                    ))}
+                  </div>
+                </label>
+              ))}
+            </div>
+          ) : (
+            <p className="panel__desc" style={{ marginTop: "10px" }}>
+              Clique em LISTAR TABELAS para ver todas as tabelas dos arquivos selecionados.
+            </p>
+          )}
+        </div>
+      ) : null}
+    </details>
+  );
+}
+
+function ColumnMappingPanel({ tables, overrides, onChange, onReprocess, disabled }) {
+  if (!tables?.length) return null;
+
+  const ambiguousCount = tables.filter((t) => t.mapping.ambiguous.length).length;
+
+  const setField = (key, field, col) =>
+    onChange((prev) => ({ ...prev, [key]: { ...prev[key], [field]: col } }));
+
+  const reset = (key) =>
+    onChange((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+
+  return (
+    <details className="options" open={ambiguousCount > 0}>
+      <summary className="options__summary">
+        Mapeamento de colunas ({tables.length} tabela(s){ambiguousCount ? `, ${ambiguousCount} ambigua(s)` : ""})
+      </summary>
+
+      <div className="mapping">
+        {tables.map((t) => (
+          <div key={t.key} className={cn("mapping__table", t.mapping.ambiguous.length && "mapping__table--warn")}>
+            <div className="mapping__head">
+              <span className="table-pick__title">
+                {t.arquivo} | {t.label}
+              </span>
+              <span className="status__file">
+                {t.mapping.source === "cabecalho"
+                  ? `cabecalho na L${t.mapping.headerRow + 1}`
+                  : t.mapping.source === "manual"
+                  ? "manual"
+                  : "posicional (sem cabecalho)"}
+              </span>
+            </div>
+
+            {t.mapping.ambiguous.map((a) => (
+              <div key={a} className="mapping__warn">
+                <AlertTriangle size={12} /> {a}
+              </div>
+            ))}
+
+            <div className="mapping__fields">
+              {COLUMN_FIELDS.map(({ field, label }) => {
+                const current = overrides[t.key]?.[field] ?? t.mapping[field];
+                return (
+                  <label key={field} className="field">
+                    <span className="field__label">{label}</span>
+                    <select
+                      className="field__input"
+                      value={current}
+                      disabled={disabled}
+                      onChange={(e) => setField(t.key, field, Number(e.target.value))}
+                    >
+                      <option value={-1}>-</option>
+                      {Array.from({ length: Math.max(t.columns, current + 1) }, (_, c) => (
+                        <option key={c} value={c}>
+                          C{c + 1}
+                          {t.mapping.headers[c] ? `: ${t.mapping.headers[c]}` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                );
+              })}
+            </div>
+
+            {overrides[t.key] ? (
+              <button type="button" className="link-btn" onClick={() => reset(t.key)} disabled={disabled}>
+                Voltar ao automatico
+              </button>
+            ) : null}
+          </div>
+        ))}
+      </div>
+
+      <div className="actions" style={{ marginTop: "12px" }}>
+        <button type="button" onClick={onReprocess} disabled={disabled} className="btn btn--outline">
+          <FileText size={16} />
+          Reprocessar com este mapeamento
+        </button>
+      </div>
+    </details>
+  );
+}
+
+function CatalogOptions({ catalog, message, onImport, onClear, disabled }) {
+  const inputRef = useRef(null);
+
+  return (
+    <details className="options">
+      <summary className="options__summary">
+        Catalogo de referencia {catalog ? `(${catalog.name})` : "(nenhum)"}
+      </summary>
+
+      <p className="panel__desc" style={{ marginTop: "10px" }}>
+        Importe um XLSX/CSV com colunas Codigo e Descricao (Unidade e Preco opcionais). Os codigos extraidos sao
+        conferidos contra ele. O catalogo fica salvo neste navegador.
+      </p>
+
+      {catalog ? (
+        <div className="status__lines">
+          <span>
+            {catalog.name}: {fmtInt(catalog.entries.length)} codigos
+          </span>
+          <span>Importado em {new Date(catalog.importedAt).toLocaleString("pt-BR")}</span>
+        </div>
+      ) : null}
+      {message ? <div className="mapping__warn">{message}</div> : null}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".xlsx,.xls,.csv,.txt"
+        hidden
+        onChange={(e) => {
+          const f = e.target.files?.[0];
+          e.target.value = "";
+          if (f) onImport(f);
+        }}
+      />
+
+      <div className="actions" style={{ marginTop: "12px" }}>
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={disabled}
+          className="btn btn--outline"
+        >
+          <BookOpen size={16} />
+          {catalog ? "Trocar catalogo" : "Importar catalogo"}
+        </button>
+        {catalog ? (
+          <button type="button" onClick={onClear} disabled={disabled} className="btn btn--outline">
+            <Trash2 size={16} />
+            Remover catalogo
+          </button>
+        ) : null}
+      </div>
+    </details>
+  );
+}
+
+function ProfileOptions({ profiles, active, modified, message, onSelect, onSave, onDelete, onExport, onImport, disabled }) {
+  const inputRef = useRef(null);
+  const [name, setName] = useState("");
+
+  return (
+    <details className="options">
+      <summary className="options__summary">
+        Perfil de extracao {active ? `(${describeProfile(active, modified)})` : "(nenhum)"}
+      </summary>
+
+      <p className="panel__desc" style={{ marginTop: "10px" }}>
+        Um perfil guarda deteccao, padrao de codigo, colunas fixas, tratamento de #N/D e regra de consolidacao. Os
+        perfis ficam salvos neste navegador; exporte o JSON para a equipe usar as mesmas regras.
+      </p>
+
+      <div className="options__grid">
+        <label className="field">
+          <span className="field__label">Perfil ativo</span>
+          <select
+            className="field__input"
+            value={active?.name ?? ""}
+            disabled={disabled}
+            onChange={(e) => onSelect(e.target.value)}
+          >
+            <option value="">(nenhum)</option>
+            {profiles.map((p) => (
+              <option key={p.name} value={p.name}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="field">
+          <span className="field__label">Salvar opcoes atuais como</span>
+          <input
+            className="field__input"
+            placeholder={active?.name ?? "Nome do perfil (ex.: Cliente X)"}
+            value={name}
+            disabled={disabled}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </label>
+      </div>
+
+      {message ? <div className="mapping__warn">{message}</div> : null}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        hidden
+        onChange={(e) => {
+          const f = e.target.files?.[0];
+          e.target.value = "";
+          if (f) onImport(f);
+        }}
+      />
+
+      <div className="actions" style={{ marginTop: "12px" }}>
+        <button
+          type="button"
+          onClick={() => {
+            onSave(name.trim() || active?.name || "");
+            setName("");
+          }}
+          disabled={disabled || !(name.trim() || active)}
+          className="btn btn--outline"
+        >
+          <Save size={16} />
+          {name.trim() || !active ? "Salvar perfil" : "Atualizar perfil"}
+        </button>
+        {active ? (
+          <button type="button" onClick={onDelete} disabled={disabled} className="btn btn--outline">
+            <Trash2 size={16} />
+            Excluir perfil
+          </button>
+        ) : null}
+        <button type="button" onClick={onExport} disabled={disabled || !profiles.length} className="btn btn--outline">
+          <FileJson size={16} />
+          Exportar JSON
+        </button>
+        <button type="button" onClick={() => inputRef.current?.click()} disabled={disabled} className="btn btn--outline">
+          <CloudUpload size={16} />
+          Importar JSON
+        </button>
+      </div>
+    </details>
+  );
+}
+
+const GRID_ROW_HEIGHT = 40;
+const GRID_VIEW_HEIGHT = 440;
+const GRID_OVERSCAN = 6;
+
+/** Avisos de conferencia de um item (mostrados na grade). */
+function itemWarnings(it, codeRe) {
+  const out = [];
+  if (!codeRe.test(it.codigo)) out.push("codigo fora do padrao");
+  if (!Number.isFinite(it.quantidade)) out.push(`quantidade: ${it.quantidade_aviso || "nao numerica"}`);
+  if (it.total_diverge) out.push(`total do documento ${it.total_raw} x calculado ${fmtQty(it.total_calc)}`);
+  if (it.catalogo_status === "ausente") out.push("fora do catalogo");
+  if (it.catalogo_status === "divergente") out.push(`catalogo: ${it.catalogo_descricao}`);
+  return out;
+}
+
+function GridCellInput({ value, onCommit, className, invalid }) {
+  return (
+    <input
+      className={cn("grid__input", className, invalid && "grid__input--invalid")}
+      defaultValue={value}
+      onBlur={(e) => {
+        if (e.target.value !== value) onCommit(e.target.value);
+      }}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") {
+          e.currentTarget.value = value;
+          e.currentTarget.blur();
+        }
+      }}
+    />
+  );
+}
+
+/**
+ * Grade com todas as linhas extraidas: ordenacao, filtro, edicao inline e exclusao.
+ * So as linhas visiveis sao renderizadas (altura fixa por linha).
+ */
+function ResultsGrid({ items, codeRe, onEdit, onDelete, showArquivo }) {
+  const [sort, setSort] = useState({ key: "", dir: 1 });
+  const [filter, setFilter] = useState("");
+  const [warnOnly, setWarnOnly] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const showSecao = items.some((it) => it.secao);
+  const columns = [
+    { key: "codigo", label: "Codigo", width: "110px" },
+    { key: "descricao", label: "Descricao", width: "minmax(180px, 1fr)" },
+    { key: "quantidade", label: "Qtd", width: "100px" },
+    { key: "unidade", label: "Unid.", width: "60px" },
+    ...(showSecao ? [{ key: "secao", label: "Secao", width: "140px" }] : []),
+    { key: "origem", label: "Origem", width: "80px" },
+    ...(showArquivo ? [{ key: "arquivo", label: "Arquivo", width: "140px" }] : []),
+  ];
+  const template = [...columns.map((c) => c.width), "40px"].join(" ");
+
+  const rows = useMemo(() => {
+    const q = foldText(filter);
+    let out = items.filter((it) => {
+      if (warnOnly && !itemWarnings(it, codeRe).length) return false;
+      if (!q) return true;
+      return [it.codigo, it.descricao, it.origem, it.arquivo, it.unidade, it.secao].some((v) =>
+        foldText(v).includes(q)
+      );
+    });
+
+    if (sort.key) {
+      const key = sort.key;
+      out = out.slice().sort((a, b) => {
+        if (key === "quantidade") {
+          const av = Number.isFinite(a.quantidade) ? a.quantidade : -Infinity;
+          const bv = Number.isFinite(b.quantidade) ? b.quantidade : -Infinity;
+          return (av - bv) * sort.dir;
+        }
+        return String(a[key] ?? "").localeCompare(String(b[key] ?? ""), "pt-BR", { numeric: true }) * sort.dir;
+      });
+    }
+    return out;
+  }, [items, codeRe, filter, warnOnly, sort]);
+
+  const start = Math.max(0, Math.floor(scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+  const end = Math.min(rows.length, Math.ceil((scrollTop + GRID_VIEW_HEIGHT) / GRID_ROW_HEIGHT) + GRID_OVERSCAN);
+
+  const toggleSort = (key) =>
+    setSort((prev) => (prev.key !== key ? { key, dir: 1 } : prev.dir === 1 ? { key, dir: -1 } : { key: "", dir: 1 }));
+
+  return (
+    <div className="grid">
+      <div className="grid__toolbar">
+        <input
+          className="field__input"
+          placeholder="Filtrar por codigo, descricao, secao, origem..."
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+        <label className="rule-card">
+          <input type="checkbox" checked={warnOnly} onChange={(e) => setWarnOnly(e.target.checked)} />
+          Somente com aviso
+        </label>
+        <span className="status__file">
+          {fmtInt(rows.length)} de {fmtInt(items.length)}
+        </span>
+      </div>
+
+      <div className="grid__head" style={{ gridTemplateColumns: template }}>
+        {columns.map((c) => (
+          <button key={c.key} type="button" className="grid__sort" onClick={() => toggleSort(c.key)}>
+            {c.label}
+            {sort.key === c.key ? (sort.dir === 1 ? <ArrowUp size={12} /> : <ArrowDown size={12} />) : null}
+          </button>
+        ))}
+        <span />
+      </div>
+
+      <div
+        className="grid__viewport"
+        style={{ height: Math.min(GRID_VIEW_HEIGHT, Math.max(rows.length, 1) * GRID_ROW_HEIGHT) }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div style={{ height: rows.length * GRID_ROW_HEIGHT, position: "relative" }}>
+          {rows.slice(start, end).map((it, i) => {
+            const warnings = itemWarnings(it, codeRe);
+            return (
+              <div
+                key={it.id}
+                className={cn("grid__row", it.editado && "grid__row--edited", warnings.length && "grid__row--warn")}
+                style={{ top: (start + i) * GRID_ROW_HEIGHT, height: GRID_ROW_HEIGHT, gridTemplateColumns: template }}
+                title={warnings.join("\n") || undefined}
+              >
+                {EDITABLE_FIELDS.map((field) => {
+                  const value = field === "quantidade" ? it.quantidade_raw : it[field];
+                  return (
+                    <GridCellInput
+                      key={`${field}-${value}`}
+                      value={value ?? ""}
+                      className={field === "descricao" ? "" : "grid__input--mono"}
+                      invalid={
+                        (field === "codigo" && !codeRe.test(it.codigo)) ||
+                        (field === "quantidade" && !Number.isFinite(it.quantidade))
+                      }
+                      onCommit={(v) => onEdit(it.id, field, v)}
+                    />
+                  );
+                })}
+                <span className="grid__cell">{it.unidade ?? ""}</span>
+                {showSecao ? (
+                  <span className="grid__cell grid__cell--muted" title={it.secao}>
+                    {it.secao ?? ""}
+                  </span>
+                ) : null}
+                <span className="grid__cell grid__cell--muted">{it.origem}</span>
+                {showArquivo ? <span className="grid__cell grid__cell--muted">{it.arquivo}</span> : null}
+                <button type="button" className="grid__del" title="Excluir linha" onClick={() => onDelete(it.id)}>
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function IgnoredRowRecord({ row, onPromote }) {
+  const [open, setOpen] = useState(false);
+  const [values, setValues] = useState({
+    codigo: row.codigo,
+    descricao: row.descricao,
+    quantidade_raw: row.quantidade_raw,
+  });
+  const set = (k) => (e) => setValues((prev) => ({ ...prev, [k]: e.target.value }));
+
+  return (
+    <div className="ignored__item">
+      <div className="mapping__head">
+        <span className="preview__code">
+          {row.arquivo} {row.origem} | {row.motivo}
+          {row.valor ? ` ${row.valor}` : ""}
+        </span>
+        <button type="button" className="link-btn" style={{ marginTop: 0 }} onClick={() => setOpen((o) => !o)}>
+          {open ? "Cancelar" : "Corrigir e incluir"}
+        </button>
+      </div>
+      <div className="table-pick__row">{row.celulas.map((c) => c || "-").join(" | ") || "(linha vazia)"}</div>
+
+      {open ? (
+        <div className="ignored__form">
+          <input className="field__input" placeholder="Codigo" value={values.codigo} onChange={set("codigo")} />
+          <input className="field__input" placeholder="Descricao" value={values.descricao} onChange={set("descricao")} />
+          <input
+            className="field__input"
+            placeholder="Quantidade"
+            value={values.quantidade_raw}
+            onChange={set("quantidade_raw")}
+          />
+          <button
+            type="button"
+            className="btn btn--primary"
+            disabled={!norm(values.codigo) || !Number.isFinite(parseQuantity(values.quantidade_raw).value)}
+            onClick={() => onPromote(row, values)}
+          >
+            <Plus size={16} />
+            Incluir
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+/** Revisao das linhas ignoradas, agrupadas por motivo. */
+function IgnoredRowsPanel({ rows, onPromote }) {
+  const groups = useMemo(() => {
+    const map = new Map();
+    rows.forEach((r) => {
+      if (!map.has(r.motivo)) map.set(r.motivo, []);
+      map.get(r.motivo).push(r);
+    });
+    return Array.from(map.entries()).sort((a, b) => b[1].length - a[1].length);
+  }, [rows]);
+
+  if (!rows.length) return null;
+
+  return (
+    <details className="options">
+      <summary className="options__summary">Linhas ignoradas ({fmtInt(rows.length)}) - revisar, corrigir e incluir</summary>
+      <p className="panel__desc" style={{ marginTop: "10px" }}>
+        Cada linha descartada com o motivo e as celulas originais. Tambem exportadas na aba "Ignorados" do Excel bruto.
+      </p>
+      {groups.map(([motivo, list]) => (
+        <details key={motivo} className="ignored__group" open={groups.length === 1}>
+          <summary className="ignored__summary">
+            <span>{IGNORE_REASONS[motivo] ?? motivo}</span>
+            <span className="status__file">
+              {motivo} | {fmtInt(list.length)}
+            </span>
+          </summary>
+          <div className="ignored">
+            {list.map((r) => (
+              <IgnoredRowRecord key={`${r.arquivo}|${r.origem}`} row={r} onPromote={onPromote} />
+            ))}
+          </div>
+        </details>
+      ))}
+    </details>
+  );
+}
+
+function fmtDelta(x) {
+  const sign = x.delta > 0 ? "+" : "";
+  const pct = x.pct === null ? "" : ` (${sign}${x.pct.toLocaleString("pt-BR", { maximumFractionDigits: 1 })}%)`;
+  return `${sign}${fmtQty(x.delta)}${pct}`;
+}
+
+/** "2 nao lida(s)" para quantidades fora da soma do comparativo. */
+function pendingText(n) {
+  return `${fmtInt(n)} nao lida(s)`;
+}
+
+function DiffList({ title, rows, render }) {
+  return (
+    <details className="ignored__group" open={rows.length > 0 && rows.length <= 20}>
+      <summary className="ignored__summary">
+        {title} <span className="status__file">{fmtInt(rows.length)}</span>
+      </summary>
+      <div className="preview" style={{ marginTop: "8px" }}>
+        {rows.map((x, idx) => (
+          <div key={idx} className="preview__item">
+            {render(x)}
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+/** Diferencas entre duas extracoes (resultado de `diffItems` com os nomes `before`/`after`). */
+function DiffReport({ report }) {
+  return (
+    <div className="status" style={{ marginTop: "14px" }}>
+      <div className="status__top">
+        <span>
+          {report.before} → {report.after}
+        </span>
+        <span className="status__file">
+          {fmtInt(
+            report.added.length +
+              report.removed.length +
+              report.qtyChanged.length +
+              report.qtyPending.length +
+              report.descChanged.length
+          )}{" "}
+          diferencas
+        </span>
+      </div>
+
+      <DiffList
+        title="Adicionados"
+        rows={report.added}
+        render={(x) => (
+          <>
+            <div className="preview__meta">
+              <div className="preview__code">{x.codigo || "(sem codigo)"}</div>
+              <div className="preview__desc">{x.descricao || "(sem descricao)"}</div>
+            </div>
+            <div className="preview__qty">
+              {fmtQty(x.quantidade)}
+              {x.unidade ? ` ${x.unidade}` : ""}
+              {x.qtd_pendentes ? <div className="preview__origin">{pendingText(x.qtd_pendentes)}</div> : null}
+            </div>
+          </>
+        )}
+      />
+      <DiffList
+        title="Removidos"
+        rows={report.removed}
+        render={(x) => (
+          <>
+            <div className="preview__meta">
+              <div className="preview__code">{x.codigo || "(sem codigo)"}</div>
+              <div className="preview__desc">{x.descricao || "(sem descricao)"}</div>
+            </div>
+            <div className="preview__qty">
+              {fmtQty(x.quantidade)}
+              {x.unidade ? ` ${x.unidade}` : ""}
+              {x.qtd_pendentes ? <div className="preview__origin">{pendingText(x.qtd_pendentes)}</div> : null}
+            </div>
+          </>
+        )}
+      />
+      <DiffList
+        title="Quantidade alterada"
+        rows={report.qtyChanged}
+        render={(x) => (
+          <>
+            <div className="preview__meta">
+              <div className="preview__code">{x.codigo || "(sem codigo)"}</div>
+              <div className="preview__desc">{x.descricao || "(sem descricao)"}</div>
+            </div>
+            <div className="preview__qty">
+              {fmtQty(x.antes)} → {fmtQty(x.depois)}
+              <div className="preview__origin">{fmtDelta(x)}</div>
+            </div>
+          </>
+        )}
+      />
+      <DiffList
+        title="Quantidade nao lida"
+        rows={report.qtyPending}
+        render={(x) => (
+          <>
+            <div className="preview__meta">
+              <div className="preview__code">{x.codigo || "(sem codigo)"}</div>
+              <div className="preview__desc">{x.descricao || "(sem descricao)"}</div>
+            </div>
+            <div className="preview__qty">
+              {fmtQty(x.antes)} → {fmtQty(x.depois)}
+              <div className="preview__origin">
+                antes: {pendingText(x.pend_antes)}; depois: {pendingText(x.pend_depois)}
+              </div>
+            </div>
+          </>
+        )}
+      />
+      <DiffList
+        title="Descricao alterada"
+        rows={report.descChanged}
+        render={(x) => (
+          <div className="preview__meta">
+            <div className="preview__code">{x.codigo || "(sem codigo)"}</div>
+            <div className="preview__desc">antes: {x.antes || "(sem descricao)"}</div>
+            <div className="preview__desc">depois: {x.depois || "(sem descricao)"}</div>
+          </div>
+        )}
+      />
+    </div>
+  );
+}
+
+/**
+ * Compara duas versoes do mesmo orcamento. Usa as palavras-chave e normalizacoes da extracao
+ * principal, mas sempre em deteccao automatica: a selecao manual de tabelas e os ajustes de
+ * coluna valem para os arquivos da tela principal, nao para estes.
+ */
+function ComparePanel({ detection, defaultRule, disabled }) {
+  const [before, setBefore] = useState(/** @type {File | null} */ (null));
+  const [after, setAfter] = useState(/** @type {File | null} */ (null));
+  const [rule, setRule] = useState(defaultRule);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [report, setReport] = useState(null);
+
+  const pick = (setter) => (e) => {
+    const f = e.target.files?.[0] ?? null;
+    e.target.value = "";
+    setter(f);
+    setReport(null);
+    setError("");
+  };
+
+  const compare = async () => {
+    if (!before || !after) return;
+    setBusy(true);
+    setError("");
+    setReport(null);
+    try {
+      const [a, b] = await extractInWorker([before, after], {
+        detection: { ...detection, mode: "auto", selected: [] },
+      }).promise;
+      const failed = [a, b].find((run) => run.error);
+      if (failed) throw new Error(`${failed.name}: ${describeError(failed.error)}`);
+      const keyOptions = { codeNormalize: detection.codeNormalize, descNormalize: detection.descNormalize };
+      setReport({ ...diffItems(a.items, b.items, rule, keyOptions), before: before.name, after: after.name });
+    } catch (e) {
+      setError(e?.message ? String(e.message) : "Erro ao comparar.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportDiff = () => {
+    if (!report) return;
+    void saveWorkbook(buildDiffWorkbook(report), `comparativo_${safeBaseName(report.after)}`);
+  };
+
+  const fileInput = (label, file, onChange) => (
+    <label className="field">
+      <span className="field__label">{label}</span>
+      <input className="field__input" type="file" accept={INPUT_ACCEPT} onChange={onChange} disabled={disabled || busy} />
+      <span className="preview__origin">{file ? file.name : "Nenhum arquivo"}</span>
+    </label>
+  );
+
+  return (
+    <Section
+      title="6) Comparar versoes"
+      desc="Envie a versao anterior e a nova do mesmo documento para ver itens incluidos, removidos e alterados."
+    >
+      <div className="options__grid">
+        {fileInput("Versao anterior", before, pick(setBefore))}
+        {fileInput("Versao nova", after, pick(setAfter))}
+      </div>
+
+      <div className="panel__desc" style={{ marginTop: "12px" }}>
+        Casar itens por:
+      </div>
+      <div className="rule-grid">
+        {AGG_RULES.map((opt) => (
+          <label key={opt.v} className="rule-card">
+            <input
+              type="radio"
+              name="diff-rule"
+              value={opt.v}
+              checked={rule === opt.v}
+              onChange={() => {
+                setRule(opt.v);
+                setReport(null);
+              }}
+            />
+            {opt.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="actions" style={{ marginTop: "14px" }}>
+        <button type="button" onClick={compare} disabled={disabled || busy || !before || !after} className="btn btn--primary">
+          {busy ? <Loader2 size={16} className="spin" /> : <GitCompare size={16} />}
+          Comparar
+        </button>
+        <button type="button" onClick={exportDiff} disabled={!report} className="btn btn--outline">
+          <Download size={16} />
+          Baixar Excel do comparativo
+        </button>
+      </div>
+
+      {error ? <div className="mapping__warn">{error}</div> : null}
+
+      {report ? <DiffReport report={report} /> : null}
+    </Section>
+  );
+}
+
+function fmtDateTime(iso) {
+  return new Date(iso).toLocaleString("pt-BR");
+}
+
+/** Linhas da matriz mostradas na tela; a planilha leva todas. */
+const MATRIX_PREVIEW_ROWS = 12;
+
+/**
+ * Matriz de quantidades por origem (tabela, secao ou arquivo), com a regra de chave do consolidado.
+ * @param {{ items: Item[]; rule: string; keyOptions: object; onDownload: (matrix: object) => void }} props
+ */
+function MatrixPanel({ items, rule, keyOptions, onDownload }) {
+  const [dimension, setDimension] = useState("tabela");
+  const matrix = useMemo(() => buildMatrix(items, rule, dimension, keyOptions), [items, rule, dimension, keyOptions]);
+  const hasSection = items.some((it) => it.secao);
+
   return (
-    <div className="stat-card">
-      <div className="stat-card__label">{label}</div>
-      <div className="stat-card__value">{value}</div>
-      {sub ? <div className="stat-card__sub">{sub}</div> : null}
-    </div>
+    <Section
+      title="8) Matriz por origem"
+      desc={`Codigos nas linhas e a origem de cada quantidade nas colunas, com total. Chave: ${ruleLabel(rule)}.`}
+      right={
+        <button type="button" onClick={() => onDownload(matrix)} disabled={!matrix.rows.length} className="btn btn--outline">
+          <FileSpreadsheet size={16} />
+          Baixar Matriz (Excel)
+        </button>
+      }
+    >
+      <div className="panel__desc">Colunas por:</div>
+      <div className="rule-grid">
+        {MATRIX_DIMENSIONS.map((opt) => (
+          <label key={opt.v} className="rule-card">
+            <input
+              type="radio"
+              name="matrix-dimension"
+              value={opt.v}
+              checked={dimension === opt.v}
+              disabled={opt.v === "secao" && !hasSection}
+              onChange={() => setDimension(opt.v)}
+            />
+            {opt.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="matrix">
+        <table>
+          <thead>
+            <tr>
+              <th>Codigo</th>
+              <th>Descricao</th>
+              {matrix.columns.map((col) => (
+                <th key={col} className="matrix__num">
+                  {col}
+                </th>
+              ))}
+              <th className="matrix__num">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.rows.slice(0, MATRIX_PREVIEW_ROWS).map((r, idx) => (
+              <tr key={idx}>
+                <td className="matrix__code">{r.codigo}</td>
+                <td>{r.descricao}</td>
+                {matrix.columns.map((col) => (
+                  <td key={col} className="matrix__num">
+                    {fmtQty(r.celulas[col])}
+                  </td>
+                ))}
+                <td className="matrix__num matrix__total">
+                  {fmtQty(r.total)}
+                  {r.unidade ? ` ${r.unidade}` : ""}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {matrix.rows.length > MATRIX_PREVIEW_ROWS ? (
+        <div className="panel__desc" style={{ marginTop: "8px" }}>
+          Mostrando {MATRIX_PREVIEW_ROWS} de {fmtInt(matrix.rows.length)} linhas; a planilha traz todas.
+        </div>
+      ) : null}
+    </Section>
   );
 }
 
-function Section({ title, desc, right, children }) {
+/** Lista das extracoes guardadas no navegador, com reabrir, baixar, comparar e excluir. */
+function HistoryPanel({
+  entries,
+  message,
+  currentId,
+  canCompare,
+  report,
+  onOpen,
+  onDownload,
+  onDownloadLog,
+  onCompare,
+  onExportReport,
+  onDelete,
+  onClear,
+  disabled,
+}) {
   return (
-    <section className="panel">
-      <div className="panel__header">
-        <div>
-          <h2 className="panel__title">{title}</h2>
-          {desc ? <p className="panel__desc">{desc}</p> : null}
+    <Section
+      title="7) Historico"
+      desc="Extracoes anteriores salvas neste navegador (IndexedDB). Nada e enviado para servidor."
+      right={
+        entries.length ? (
+          <button type="button" onClick={onClear} disabled={disabled} className="btn btn--outline">
+            <Trash2 size={16} />
+            Limpar historico
+          </button>
+        ) : null
+      }
+    >
+      {entries.length ? (
+        <div className="preview">
+          {entries.map((e) => (
+            <div key={e.id} className={cn("preview__item", e.id === currentId && "history__item--current")}>
+              <div className="preview__meta">
+                <div className="preview__code">{e.arquivo}</div>
+                <div className="preview__desc">
+                  {fmtDateTime(e.criado_em)} | {fmtInt(e.metricas.rows_extracted)} itens | {fmtInt(e.metricas.rows_ignored)}{" "}
+                  ignoradas | {ruleLabel(e.config.aggRule)}
+                </div>
+                <div className="preview__origin" title={e.arquivos.map((f) => `${f.name}: ${f.sha256 || "sem hash"}`).join("\n")}>
+                  SHA-256: {e.arquivos.map((f) => (f.sha256 ? f.sha256.slice(0, 12) : "-")).join(", ")}
+                  {e.id === currentId ? " | aberto" : ""}
+                </div>
+              </div>
+              <div className="history__actions">
+                <button type="button" onClick={() => onOpen(e)} disabled={disabled} className="btn btn--outline">
+                  <FolderOpen size={16} />
+                  Abrir
+                </button>
+                <button type="button" onClick={() => onDownload(e)} disabled={disabled} className="btn btn--outline">
+                  <Download size={16} />
+                  Excel
+                </button>
+                <button type="button" onClick={() => onDownloadLog(e)} disabled={disabled} className="btn btn--outline">
+                  <FileText size={16} />
+                  Log
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onCompare(e)}
+                  disabled={disabled || !canCompare || e.id === currentId}
+                  title="Compara esta execucao (antes) com o resultado atual (depois)"
+                  className="btn btn--outline"
+                >
+                  <GitCompare size={16} />
+                  Comparar com atual
+                </button>
+                <button type="button" className="grid__del" title="Excluir do historico" onClick={() => onDelete(e)} disabled={disabled}>
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+          ))}
         </div>
-        {right ? <div className="panel__right">{right}</div> : null}
-      </div>
-      {children}
-    </section>
+      ) : (
+        <p className="panel__desc">
+          {historyAvailable() ? "Nenhuma extracao salva ainda." : "Este navegador nao permite guardar o historico."}
+        </p>
+      )}
+
+      {message ? <div className="mapping__warn">{message}</div> : null}
+
+      {report ? (
+        <>
+          <div className="actions" style={{ marginTop: "14px" }}>
+            <button type="button" onClick={onExportReport} className="btn btn--outline">
+              <Download size={16} />
+              Baixar Excel do comparativo
+            </button>
+          </div>
+          <DiffReport report={report} />
+        </>
+      ) : null}
+    </Section>
   );
 }
 
 export default function AppExtratorDocx() {
   const inputRef = useRef(null);
+  const folderRef = useRef(null);
   const [drag, setDrag] = useState(false);
 
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState(/** @type {File[]} */ ([]));
+  const [fileStatus, setFileStatus] = useState(/** @type {FileStatus[]} */ ([]));
   const [phase, setPhase] = useState("idle");
-  const [statusText, setStatusText] = useState("Envie um .docx para iniciar.");
-  const [lines, setLines] = useState(["Pronto para receber arquivo."]);
+  const [statusText, setStatusText] = useState("Envie um ou mais documentos (DOCX, ODT ou HTML) para iniciar.");
+  const [lines, setLines] = useState(["Pronto para receber arquivos."]);
 
   const [items, setItems] = useState(/** @type {Item[]} */ ([]));
   const [meta, setMeta] = useState(null);
-  const [logText, setLogText] = useState("");
+  /** Log da extracao; o bloco do consolidado atual entra em `logText`. */
+  const [extractLog, setExtractLog] = useState("");
+  const [ignoredRows, setIgnoredRows] = useState(/** @type {IgnoredRow[]} */ ([]));
+  const [audit, setAudit] = useState([]);
+  const [copyMsg, setCopyMsg] = useState("");
+  const [annotateMsg, setAnnotateMsg] = useState("");
+  const [progress, setProgress] = useState(/** @type {number | null} */ (null));
+  const cancelRef = useRef(null);
+  const nextIdRef = useRef(1);
+
+  const [initial] = useState(loadInitialSettings);
+  const [profiles, setProfiles] = useState(initial.profiles);
+  const [activeProfileName, setActiveProfileName] = useState(initial.activeName);
+  const [profileMsg, setProfileMsg] = useState("");
+
+  const [detection, setDetection] = useState(/** @type {DetectionConfig} */ (initial.detection));
+  const [keywordsText, setKeywordsText] = useState(initial.detection.keywords.join("\n"));
+  const [tableList, setTableList] = useState([]);
+  const [columnOverrides, setColumnOverrides] = useState({});
+
+  const [catalog, setCatalog] = useState(/** @type {Catalog | null} */ (loadStoredCatalog));
+  const [catalogMsg, setCatalogMsg] = useState("");
+  /** Catalogo com que os itens atuais foram conferidos (o que vai para o historico). */
+  const [runCatalog, setRunCatalog] = useState(/** @type {Catalog | null} */ (null));
+  const codeRe = useMemo(() => {
+    try {
+      return compileCodeMatcher(detection);
+    } catch {
+      return compileCodeMatcher(DEFAULT_DETECTION);
+    }
+  }, [detection]);
+
+  /** Normalizacao da chave de soma (ver `aggregateItems`), que vale tambem para achar o codigo no catalogo. */
+  const keyOptions = useMemo(
+    () => ({ codeNormalize: detection.codeNormalize, descNormalize: detection.descNormalize }),
+    [detection.codeNormalize, detection.descNormalize]
+  );
+  const catalogIndex = useMemo(() => indexCatalog(catalog, keyOptions), [catalog, keyOptions]);
+
+  const [aggRule, setAggRule] = useState(initial.aggRule);
+  const [aggBySection, setAggBySection] = useState(initial.aggBySection);
+  const activeProfile = profiles.find((p) => p.name === activeProfileName) ?? null;
+  const profileModified = Boolean(activeProfile) && !matchesProfile(activeProfile, detection, aggRule, aggBySection);
+  const profileLabel = activeProfile ? describeProfile(activeProfile, profileModified) : "";
+  const [scanning, setScanning] = useState(false);
 
-  const [aggRule, setAggRule] = useState("code_desc");
   const [aggPhase, setAggPhase] = useState("idle");
   const [aggText, setAggText] = useState("Escolha a regra e gere a planilha consolidada.");
   const [aggLines, setAggLines] = useState(["Aguardando acao."]);
   const [aggItems, setAggItems] = useState([]);
-
-  const canProcess = !!file && phase !== "work";
+  const aggConflicts = useMemo(() => aggItems.filter((x) => x.conflitos?.length), [aggItems]);
+  // Refeito a cada consolidacao: so o consolidado atual aparece, uma vez.
+  const logText = useMemo(() => extractLog + consolidatedLogBlock(aggItems), [extractLog, aggItems]);
+
+  const [history, setHistory] = useState(/** @type {HistoryEntry[]} */ ([]));
+  const [historyMsg, setHistoryMsg] = useState("");
+  const [historyReport, setHistoryReport] = useState(null);
+  // Execucao do historico que recebe as edicoes da tela; `restored` e a execucao reaberta (sem arquivos carregados).
+  const [runId, setRunId] = useState(/** @type {number | null} */ (null));
+  const [restored, setRestored] = useState(/** @type {HistoryEntry | null} */ (null));
+  const source = useMemo(() => (files.length ? files : restored?.arquivos ?? []), [files, restored]);
+
+  const canProcess = files.length > 0 && phase !== "work";
   const canAggregate = phase === "ok" && items.length > 0 && aggPhase !== "work";
+  const canAnnotate = files.some((f) => meta?.files?.some((x) => x.name === f.name && x.ok && x.formato === "docx"));
 
   const onPick = useCallback(() => inputRef.current?.click(), []);
+  const onPickFolder = useCallback(() => folderRef.current?.click(), []);
+
+  const onFilesSelected = useCallback((list) => {
+    const all = Array.from(list ?? [], (f) => withRelativeName(f, f.webkitRelativePath));
+    if (!all.length) return;
+
+    const seen = new Set();
+    const docs = all.filter((f) => {
+      if (f.name !== CLIPBOARD_NAME && !isInputName(f.name)) return false;
+      const k = fileKey(f);
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+    const skipped = all.length - docs.length;
 
-  const onFileSelected = useCallback((f) => {
-    if (!f) return;
-
-    if (!String(f.name).toLowerCase().endsWith(".docx")) {
+    if (!docs.length) {
       setPhase("err");
-      setStatusText("Arquivo invalido. Envie um .docx.");
-      setLines(["O arquivo selecionado nao e .docx."]);
+      setStatusText("Arquivo invalido. Envie DOCX, DOCM, DOTX, ODT ou HTML.");
+      setLines([`Nenhum arquivo ${INPUT_EXTENSIONS.join(", ")} encontrado na selecao.`]);
       return;
     }
 
-    setFile(f);
+    docs.sort((a, b) => a.name.localeCompare(b.name, "pt-BR", { numeric: true }));
+
+    setFiles(docs);
+    setRunId(null);
+    setRestored(null);
+    setHistoryReport(null);
+    setTableList([]);
+    setColumnOverrides({});
+    setDetection((prev) => ({ ...prev, selected: [] }));
+    setFileStatus(docs.map((f) => ({ name: f.name, phase: "idle", message: "Pendente" })));
     setPhase("idle");
-    setStatusText("Arquivo carregado. Pronto para processar.");
-    setLines(["Arquivo selecionado", "Clique em PROCESSAR DOCUMENTO"]);
+    setStatusText(docs.length > 1 ? `${docs.length} arquivos carregados. Pronto para processar.` : "Arquivo carregado. Pronto para processar.");
+    setLines([
+      docs.length > 1 ? `${docs.length} arquivos selecionados` : "Arquivo selecionado",
+      skipped ? `${skipped} arquivo(s) ignorado(s) (formato nao suportado ou repetido)` : "",
+      "Clique em PROCESSAR DOCUMENTO",
+    ].filter(Boolean));
 
     setItems([]);
     setMeta(null);
-    setLogText("");
+    setExtractLog("");
+    setIgnoredRows([]);
+    setAudit([]);
 
     setAggPhase("idle");
     setAggText("Escolha a regra e gere a planilha consolidada.");
@@ -408,10 +1820,10 @@ export default function AppExtratorDocx() {
 
   const onInputChange = useCallback(
     (e) => {
-      const f = e.target.files?.[0];
-      onFileSelected(f);
+      onFilesSelected(e.target.files);
+      e.target.value = "";
     },
-    [onFileSelected]
+    [onFilesSelected]
   );
 
   const onDrop = useCallback(
@@ -419,74 +1831,352 @@ export default function AppExtratorDocx() {
       e.preventDefault();
       e.stopPropagation();
       setDrag(false);
-      const f = e.dataTransfer?.files?.[0];
-      onFileSelected(f);
+
+      const dtItems = Array.from(e.dataTransfer?.items ?? []);
+      const entries = dtItems.map((it) => it.webkitGetAsEntry?.()).filter(Boolean);
+      if (!entries.length) {
+        onFilesSelected(e.dataTransfer?.files);
+        return;
+      }
+      void Promise.all(entries.map(readEntryFiles)).then((nested) => onFilesSelected(nested.flat()));
+    },
+    [onFilesSelected]
+  );
+
+  /** Tabela colada (Word, Excel, e-mail) entra como arquivo "clipboard": HTML se houver, senao TSV. */
+  const onPasteTable = useCallback(
+    (e) => {
+      e.preventDefault();
+      const data = e.clipboardData;
+      try {
+        onFilesSelected([clipboardFile({ html: data?.getData("text/html"), text: data?.getData("text/plain") })]);
+      } catch (err) {
+        setPhase("err");
+        setStatusText("Nada para colar.");
+        setLines([String(err?.message ?? err), "Copie as celulas da tabela (com o cabecalho) e cole novamente."]);
+      }
+    },
+    [onFilesSelected]
+  );
+
+  const onKeywordsText = useCallback((text) => {
+    setKeywordsText(text);
+    setDetection((prev) => ({
+      ...prev,
+      keywords: text
+        .split(/\r?\n/)
+        .map((k) => norm(k))
+        .filter(Boolean),
+    }));
+  }, []);
+
+  const selectProfile = useCallback(
+    (name) => {
+      const p = profiles.find((x) => x.name === name) ?? null;
+      setActiveProfileName(p ? p.name : "");
+      setProfileMsg("");
+      storeProfiles(profiles, p?.name ?? "");
+      if (!p) return;
+      setDetection((prev) => applyProfile(p, prev));
+      setKeywordsText(p.detection.keywords.join("\n"));
+      setAggRule(p.aggRule);
+      setAggBySection(p.aggBySection);
+    },
+    [profiles]
+  );
+
+  const saveProfile = useCallback(
+    (name) => {
+      if (!name) return;
+      try {
+        const p = normalizeProfile(makeProfile(name, detection, aggRule, aggBySection));
+        const next = [...profiles.filter((x) => x.name !== p.name), p].sort((a, b) =>
+          a.name.localeCompare(b.name, "pt-BR")
+        );
+        setProfiles(next);
+        setActiveProfileName(p.name);
+        storeProfiles(next, p.name);
+        setProfileMsg("");
+      } catch (err) {
+        setProfileMsg(String(err?.message ?? err));
+      }
+    },
+    [profiles, detection, aggRule, aggBySection]
+  );
+
+  const deleteProfile = useCallback(() => {
+    if (!activeProfileName) return;
+    const next = profiles.filter((x) => x.name !== activeProfileName);
+    setProfiles(next);
+    setActiveProfileName("");
+    storeProfiles(next, "");
+  }, [profiles, activeProfileName]);
+
+  const exportProfiles = useCallback(() => {
+    if (!profiles.length) return;
+    void saveFile({
+      filename: "perfis_extrator_docx.json",
+      mime: "application/json;charset=utf-8",
+      data: new Blob([profilesJson(profiles)], { type: "application/json;charset=utf-8" }),
+      hint: "json",
+    });
+  }, [profiles]);
+
+  const importProfiles = useCallback(
+    async (f) => {
+      try {
+        const imported = parseProfilesJson(await f.text());
+        const names = new Set(imported.map((p) => p.name));
+        const next = [...profiles.filter((x) => !names.has(x.name)), ...imported].sort((a, b) =>
+          a.name.localeCompare(b.name, "pt-BR")
+        );
+        setProfiles(next);
+        storeProfiles(next, activeProfileName);
+        setProfileMsg(
+          `${fmtInt(imported.length)} perfil(is) importado(s)${imported.length === 1 ? "" : "; escolha o perfil ativo"}.`
+        );
+        if (imported.length === 1) {
+          const p = imported[0];
+          setActiveProfileName(p.name);
+          storeProfiles(next, p.name);
+          setDetection((prev) => applyProfile(p, prev));
+          setKeywordsText(p.detection.keywords.join("\n"));
+          setAggRule(p.aggRule);
+          setAggBySection(p.aggBySection);
+        }
+      } catch (err) {
+        setProfileMsg(String(err?.message ?? err));
+      }
+    },
+    [profiles, activeProfileName]
+  );
+
+  const scanTables = useCallback(async () => {
+    if (!files.length) return;
+    setScanning(true);
+    let found = [];
+    try {
+      const { tables, errors } = await listTablesInWorker(files, detection).promise;
+      errors.forEach((e) => console.warn(`Falha ao listar tabelas de ${e.name}: ${describeError(e.error)}`));
+      found = tables;
+    } catch (err) {
+      console.warn("Falha ao listar tabelas", err);
+    }
+    setTableList(found);
+    setDetection((prev) => ({
+      ...prev,
+      selected: prev.selected.length ? prev.selected : found.filter((t) => t.autoMatch).map((t) => t.key),
+    }));
+    setScanning(false);
+  }, [files, detection]);
+
+  const refreshHistory = useCallback(async () => {
+    try {
+      setHistory(await listRuns());
+    } catch (err) {
+      setHistoryMsg(`Historico indisponivel: ${String(err?.message ?? err)}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (historyAvailable()) void refreshHistory();
+  }, [refreshHistory]);
+
+  /** Guarda a execucao no historico; falhas (cota, modo privado) so aparecem no painel. */
+  const rememberRun = useCallback(
+    async (runFiles, meta, config, result) => {
+      if (!historyAvailable()) return;
+      try {
+        const arquivos = await Promise.all(
+          runFiles.map(async (f) => ({ name: f.name, size: f.size, sha256: await sha256Hex(f) }))
+        );
+        const id = await saveRun(
+          {
+            criado_em: new Date().toISOString(),
+            arquivo: batchLabel(runFiles),
+            arquivos,
+            metricas: {
+              tables_total: meta.tables_total,
+              itens_tables: meta.itens_tables,
+              rows_extracted: meta.rows_extracted,
+              rows_ignored: meta.rows_ignored,
+              totals_divergent: meta.totals_divergent,
+            },
+            config,
+          },
+          result
+        );
+        setRunId(id);
+        setHistoryMsg("");
+        await refreshHistory();
+      } catch (err) {
+        setHistoryMsg(`Nao foi possivel salvar no historico: ${String(err?.message ?? err)}`);
+      }
     },
-    [onFileSelected]
+    [refreshHistory]
   );
 
+  // Edicoes, inclusoes e consolidado feitos depois da extracao vao para a mesma execucao do historico.
+  useEffect(() => {
+    if (runId === null) return;
+    const t = setTimeout(() => {
+      updateRunResult(runId, { items, meta, ignoredRows, logText: extractLog, aggItems, audit, catalog: runCatalog }).catch((err) =>
+        console.warn("Nao foi possivel atualizar o historico.", err)
+      );
+    }, 500);
+    return () => clearTimeout(t);
+  }, [runId, items, meta, ignoredRows, extractLog, aggItems, audit, runCatalog]);
+
   const processDoc = useCallback(async () => {
-    if (!file) return;
+    if (!files.length) return;
+
+    try {
+      compileKeywordMatchers(detection);
+      compileSectionMatcher(detection.sectionPattern);
+      compileCodeMatcher(detection);
+    } catch (err) {
+      setPhase("err");
+      setStatusText("Configuracao de deteccao invalida.");
+      setLines([String(err?.message ?? err)]);
+      return;
+    }
+    if (detection.mode === "manual" && !detection.selected.length) {
+      setPhase("err");
+      setStatusText("Nenhuma tabela marcada.");
+      setLines(["Modo manual: clique em LISTAR TABELAS e marque as tabelas a extrair."]);
+      return;
+    }
 
     setPhase("work");
-    setStatusText("Processando documento...");
-    setLines(["Lendo tabelas", "Extraindo codigos e quantidades", "Preparando saida"]);
+    setRunId(null);
+    setRestored(null);
+    setCopyMsg("");
+    setAnnotateMsg("");
+    // O consolidado era da extracao anterior: nao pode ser baixado nem ir para o historico da nova.
+    setAggItems([]);
+    setAggPhase("idle");
+    setAggText("Escolha a regra e gere a planilha consolidada.");
+    setAggLines(["Aguardando acao."]);
+    setProgress(0);
+    setStatusText(files.length > 1 ? `Processando ${files.length} documentos...` : "Processando documento...");
+    setLines(["Abrindo arquivos..."]);
+
+    const setOneStatus = (idx, patch) =>
+      setFileStatus((prev) => prev.map((st, i) => (i === idx ? { ...st, ...patch } : st)));
 
-    const step = async (ms, msg) => {
-      await new Promise((r) => setTimeout(r, ms));
-      setLines((prev) => [...prev.slice(0, 1), msg]);
+    const onWorkerMessage = (msg) => {
+      if (msg.type === "progress") {
+        setProgress((msg.index + progressFraction(msg)) / msg.count);
+        setLines([
+          ...(msg.count > 1 ? [`Arquivo ${msg.index + 1} de ${msg.count}: ${msg.name}`] : []),
+          progressText(msg),
+        ]);
+        return;
+      }
+      if (msg.phase === "work") {
+        setOneStatus(msg.index, { phase: "work", message: "Processando..." });
+      } else if (msg.phase === "err") {
+        setOneStatus(msg.index, { phase: "err", message: describeError(msg.error) });
+      } else {
+        const x = msg.metrics;
+        setOneStatus(msg.index, {
+          phase: x.rows_extracted ? "ok" : "err",
+          message: x.rows_extracted
+            ? `${formatPrefix(x.formato)}${fmtInt(x.rows_extracted)} itens | ${fmtInt(x.rows_ignored)} ignoradas`
+            : `Nenhum item (${x.itens_tables} tabelas alvo)`,
+        });
+      }
     };
 
     try {
-      await step(200, "Abrindo arquivo e lendo XML...");
-      const { items: extracted, meta: m } = await extractItemsFromDocx(file);
+      const job = extractInWorker(files, { detection, columnOverrides }, onWorkerMessage);
+      cancelRef.current = job.cancel;
+      const runs = await job.promise;
 
-      await step(200, `Tabelas: ${m.tables_total} | Itens: ${m.itens_tables}`);
-      await step(200, `Validas: ${m.rows_extracted} | Ignoradas: ${m.rows_ignored}`);
+      const { items: extracted, meta: m } = mergeExtractions(runs);
+      const failed = m.files.filter((x) => !x.ok).length;
 
       setMeta(m);
+      setIgnoredRows(m.ignored_details);
+      setAudit([]);
 
       if (!extracted.length) {
+        // Sem isso a grade seguiria mostrando os itens da extracao anterior ao lado do novo resumo.
+        nextIdRef.current = 1;
+        setItems([]);
         setPhase("err");
-        setStatusText("Nenhuma linha valida foi encontrada nas tabelas 'Itens'.");
+        setStatusText(
+          failed === files.length
+            ? "Erro ao processar o documento."
+            : "Nenhuma linha valida foi encontrada nas tabelas alvo."
+        );
         setLines([
           "Nenhum item extraido.",
-          "Verifique se existe uma tabela com cabecalho 'Itens' (1a linha).",
-        ]);
+          failed ? `${failed} arquivo(s) com erro (ver lista abaixo)` : "",
+          "Verifique as palavras-chave de deteccao ou escolha as tabelas manualmente.",
+        ].filter(Boolean));
 
         const t = buildLogText({
-          fileName: file.name,
-          statusLines: ["Sem dados"],
+          fileName: batchLabel(files),
+          statusLines: [failed === files.length ? "Erro" : "Sem dados"],
           meta: m,
           items: [],
+          detection,
+          profile: profileLabel,
         });
-        setLogText(t);
+        setExtractLog(t);
         return;
       }
 
-      setItems(extracted);
+      const checked = applyCatalog(extracted, catalogIndex, keyOptions).map((it, i) => ({ ...it, id: i + 1 }));
+      nextIdRef.current = checked.length + 1;
+      setItems(checked);
+      setRunCatalog(catalog);
 
       const t = buildLogText({
-        fileName: file.name,
-        statusLines: ["Extracao concluida"],
+        fileName: batchLabel(files),
+        statusLines: [failed ? `Extracao concluida com ${failed} arquivo(s) com erro` : "Extracao concluida"],
         meta: m,
-        items: extracted,
+        items: checked,
+        detection,
+        profile: profileLabel,
+        catalog,
       });
-      setLogText(t);
+      setExtractLog(t);
+
+      void rememberRun(
+        files,
+        m,
+        { detection, columnOverrides, aggRule, aggBySection, perfil: profileLabel, catalogo: catalog?.name ?? "" },
+        { items: checked, meta: m, ignoredRows: m.ignored_details, logText: t, aggItems: [], audit: [], catalog }
+      );
+
+      const missing = checked.filter((it) => it.catalogo_status === "ausente").length;
+      const descDiff = checked.filter((it) => it.catalogo_status === "divergente").length;
 
       setPhase("ok");
-      setStatusText("Extracao concluida!");
+      setStatusText(failed ? "Extracao concluida com avisos." : "Extracao concluida!");
       setLines([
-        `Itens encontrados: ${fmtInt(extracted.length)}`,
+        `Itens encontrados: ${fmtInt(checked.length)}`,
+        files.length > 1 ? `Arquivos: ${files.length - failed} ok | ${failed} com erro` : "",
+        catalog ? `Catalogo: ${fmtInt(missing)} fora | ${fmtInt(descDiff)} com descricao divergente` : "",
         "Gere Excel bruto e (opcional) consolidado",
         "Log disponivel para auditoria",
-      ]);
+      ].filter(Boolean));
     } catch (err) {
       setPhase("err");
-      setStatusText("Erro ao processar o DOCX.");
+      if (err?.code === "cancelado") {
+        setStatusText("Processamento cancelado.");
+        setLines(["Processamento interrompido. Clique em PROCESSAR para recomecar."]);
+        setFileStatus((prev) =>
+          prev.map((st) => (st.phase === "work" || st.phase === "idle" ? { ...st, phase: "idle", message: "Cancelado" } : st))
+        );
+        return;
+      }
+      setStatusText("Erro ao processar o documento.");
       setLines([
         String(err?.message ?? err),
-        "Dica: tente exportar o Word novamente (DOCX padrao).",
+        "Dica: tente exportar o documento novamente (DOCX padrao, ODT ou HTML).",
       ]);
 
       const m = meta ?? {
@@ -497,40 +2187,271 @@ export default function AppExtratorDocx() {
         ignored_details: [],
       };
       const t = buildLogText({
-        fileName: file?.name,
+        fileName: batchLabel(files),
         statusLines: ["Erro"],
         meta: m,
         items: [],
+        detection,
+        profile: profileLabel,
       });
-      setLogText(t);
+      setExtractLog(t);
+    } finally {
+      cancelRef.current = null;
+      setProgress(null);
     }
-  }, [file, meta]);
+  }, [files, meta, detection, columnOverrides, catalog, catalogIndex, keyOptions, aggRule, aggBySection, profileLabel, rememberRun]);
+
+  const cancelProcess = useCallback(() => {
+    cancelRef.current?.();
+  }, []);
+
+  /** A normalizacao de codigo tambem acha o codigo no catalogo: ao muda-la, refaz a conferencia dos itens. */
+  const changeDetection = useCallback(
+    (next) => {
+      setDetection(next);
+      if (!catalog || !items.length || next.codeNormalize === detection.codeNormalize) return;
+      setItems(applyCatalog(items, indexCatalog(catalog, next), next));
+      setRunCatalog(catalog);
+    },
+    [catalog, items, detection.codeNormalize]
+  );
+
+  const changeCatalog = useCallback(
+    (next) => {
+      setCatalog(next);
+      if (!items.length) return;
+
+      const checked = applyCatalog(items, indexCatalog(next, keyOptions), keyOptions);
+      setItems(checked);
+      setRunCatalog(next);
+      setExtractLog(
+        buildLogText({
+          fileName: batchLabel(source),
+          statusLines: ["Extracao concluida", next ? `Catalogo aplicado: ${next.name}` : "Catalogo removido"],
+          meta,
+          items: checked,
+          detection,
+          profile: profileLabel,
+          catalog: next,
+        })
+      );
+    },
+    [items, source, meta, detection, keyOptions, profileLabel]
+  );
+
+  const importCatalog = useCallback(
+    async (f) => {
+      setCatalogMsg("Lendo catalogo...");
+      try {
+        const next = await readCatalogFile(f);
+        const saved = storeCatalog(next);
+        setCatalogMsg(saved ? "" : "Catalogo carregado, mas grande demais para ficar salvo no navegador.");
+        changeCatalog(next);
+      } catch (err) {
+        setCatalogMsg(String(err?.message ?? err));
+      }
+    },
+    [changeCatalog]
+  );
+
+  const clearCatalog = useCallback(() => {
+    storeCatalog(null);
+    setCatalogMsg("");
+    changeCatalog(null);
+  }, [changeCatalog]);
+
+  const summaryFor = useCallback(
+    (aggregated, matrix) =>
+      buildSummaryRows({
+        fileName: batchLabel(source),
+        meta,
+        detection,
+        profile: profileLabel,
+        aggRule,
+        bySection: aggBySection,
+        aggregated,
+        matrix,
+        catalog,
+      }),
+    [source, meta, detection, profileLabel, aggRule, aggBySection, catalog]
+  );
 
   const downloadBruto = useCallback(() => {
     if (!items.length) return;
-    buildXlsx(items, `itens_bruto_${safeBaseName(file?.name)}`);
-  }, [items, file]);
+    const aggregated = consolidatedItems(
+      aggregateItems(items, aggRule, { ...keyOptions, bySection: aggBySection }),
+      aggRule,
+      catalogIndex,
+      keyOptions
+    );
+    void buildXlsx(
+      { items, aggregated, ignored: ignoredRows, summary: summaryFor(aggregated) },
+      `itens_${batchBaseName(source)}`
+    );
+  }, [items, ignoredRows, source, aggRule, aggBySection, keyOptions, catalogIndex, summaryFor]);
 
   const downloadSomado = useCallback(() => {
     if (!aggItems.length) return;
-    const rows = aggItems.map((x) => ({
-      codigo: x.codigo,
-      descricao: x.descricao,
-      quantidade_raw: fmtQty(x.quantidade),
-      quantidade: x.quantidade,
-    }));
-    buildXlsx(rows, `itens_somados_${safeBaseName(file?.name)}`);
-  }, [aggItems, file]);
+    const aggregated = consolidatedItems(aggItems, aggRule, catalogIndex, keyOptions);
+    void buildXlsx({ aggregated, summary: summaryFor(aggregated) }, `itens_somados_${batchBaseName(source)}`);
+  }, [aggItems, aggRule, catalogIndex, keyOptions, source, summaryFor]);
+
+  const downloadMatrix = useCallback(
+    (matrix) => {
+      void buildXlsx({ matrix, summary: summaryFor(undefined, matrix) }, `matriz_${batchBaseName(source)}`);
+    },
+    [source, summaryFor]
+  );
+
+  const downloadCsv = useCallback(
+    (format) => {
+      if (!items.length) return;
+      void exportCsv(items, `itens_${batchBaseName(source)}${format === "ptbr" ? "" : "_padrao"}`, format);
+    },
+    [items, source]
+  );
+
+  const downloadJson = useCallback(() => {
+    if (!items.length) return;
+    void exportJson({ items, meta, fileName: batchLabel(source), detection }, `itens_${batchBaseName(source)}`);
+  }, [items, meta, source, detection]);
+
+  const copyTable = useCallback(async () => {
+    if (!items.length) return;
+    try {
+      await copyItemsTable(items);
+      setCopyMsg(`${fmtInt(items.length)} itens copiados. Cole no Excel ou no Google Planilhas.`);
+    } catch (err) {
+      setCopyMsg(`Nao foi possivel copiar: ${String(err?.message ?? err)}`);
+    }
+  }, [items]);
 
   const downloadLog = useCallback(() => {
     if (!logText) return;
-    void saveFile({
-      filename: makeName(file?.name, "itens_log", "txt"),
-      mime: "text/plain;charset=utf-8",
-      data: new Blob([logText], { type: "text/plain;charset=utf-8" }),
-      hint: "txt",
-    });
-  }, [logText, file]);
+    void exportLog(logWithAudit(logText, audit, items.length), `itens_log_${batchBaseName(source)}`);
+  }, [logText, audit, items, source]);
+
+  /** DOCX do lote com as linhas marcadas; mais de um arquivo vai num .zip. */
+  const downloadAnnotated = useCallback(async () => {
+    const docs = files.filter((f) => meta?.files?.some((x) => x.name === f.name && x.ok && x.formato === "docx"));
+    if (!docs.length) return;
+    setAnnotateMsg("Gerando copia anotada...");
+    try {
+      const result = { items, ignored: ignoredRows, detection };
+      const out = [];
+      for (const f of docs) out.push({ name: f.name, ...(await annotateDocx(f, result)) });
+
+      if (out.length === 1) {
+        await saveFile({
+          filename: annotatedName(out[0].name),
+          mime: DOCX_MIME,
+          data: new Blob([out[0].data], { type: DOCX_MIME }),
+          hint: "docx",
+        });
+      } else {
+        const zip = new JSZip();
+        out.forEach((o) => zip.file(annotatedName(o.name), o.data));
+        await saveFile({
+          filename: `anotados_${batchBaseName(docs)}.zip`,
+          mime: "application/zip",
+          data: await zip.generateAsync({ type: "blob" }),
+          hint: "zip",
+        });
+      }
+
+      const sum = (k) => out.reduce((acc, o) => acc + o[k], 0);
+      setAnnotateMsg(
+        `Copia anotada: ${fmtInt(sum("extraidos"))} linha(s) extraida(s) em verde, ${fmtInt(sum("ignorados"))} ignorada(s) em amarelo` +
+          ` (${fmtInt(sum("comentarios"))} com comentario do motivo).`
+      );
+    } catch (err) {
+      setAnnotateMsg(`Nao foi possivel gerar a copia anotada: ${String(err?.message ?? err)}`);
+    }
+  }, [files, meta, items, ignoredRows, detection]);
+
+  const invalidateAggregate = useCallback(() => {
+    setAggItems([]);
+    setAggPhase("idle");
+    setAggText("Itens alterados. Gere a planilha somada novamente.");
+    setAggLines(["Aguardando acao."]);
+  }, []);
+
+  const editItem = useCallback(
+    (id, field, value) => {
+      const prev = items.find((it) => it.id === id);
+      if (!prev) return;
+      const before = field === "quantidade" ? prev.quantidade_raw : prev[field];
+      if (norm(value) === norm(before)) return;
+
+      setItems((list) => list.map((it) => (it.id === id ? reviseItem(it, field, value, catalogIndex, codeRe, keyOptions) : it)));
+      setAudit((log) => [
+        ...log,
+        {
+          at: new Date().toISOString(),
+          acao: "editar",
+          arquivo: prev.arquivo,
+          origem: prev.origem,
+          campo: field,
+          antes: before,
+          depois: norm(value),
+        },
+      ]);
+      invalidateAggregate();
+    },
+    [items, catalogIndex, codeRe, keyOptions, invalidateAggregate]
+  );
+
+  const deleteItem = useCallback(
+    (id) => {
+      const prev = items.find((it) => it.id === id);
+      if (!prev) return;
+
+      setItems((list) => list.filter((it) => it.id !== id));
+      setAudit((log) => [
+        ...log,
+        {
+          at: new Date().toISOString(),
+          acao: "excluir",
+          arquivo: prev.arquivo,
+          origem: prev.origem,
+          codigo: prev.codigo,
+          descricao: prev.descricao,
+        },
+      ]);
+      invalidateAggregate();
+    },
+    [items, invalidateAggregate]
+  );
+
+  const promoteIgnored = useCallback(
+    (row, values) => {
+      const promoted = itemFromIgnored(row, values, meta?.mappings, codeRe);
+      const checked = catalogIndex?.size ? applyCatalog([promoted], catalogIndex, keyOptions)[0] : promoted;
+      const item = { ...checked, id: nextIdRef.current++ };
+
+      setItems((list) => [...list, item]);
+      setIgnoredRows((list) => list.filter((r) => r !== row));
+      setAudit((log) => [
+        ...log,
+        {
+          at: new Date().toISOString(),
+          acao: "incluir",
+          arquivo: row.arquivo,
+          origem: row.origem,
+          motivo: row.motivo,
+          codigo: item.codigo,
+          descricao: item.descricao,
+          quantidade_raw: item.quantidade_raw,
+        },
+      ]);
+      if (phase !== "ok") {
+        setPhase("ok");
+        setStatusText("Itens incluidos manualmente.");
+      }
+      invalidateAggregate();
+    },
+    [meta, catalogIndex, codeRe, keyOptions, phase, invalidateAggregate]
+  );
 
   const doAggregate = useCallback(async () => {
     if (!canAggregate) return;
@@ -540,42 +2461,184 @@ export default function AppExtratorDocx() {
     setAggLines(["Definindo chave", "Somando quantidades", "Preparando saida"]);
 
     try {
-      await new Promise((r) => setTimeout(r, 200));
-      const ag = aggregateItems(items, aggRule);
+      const ag = aggregateItems(items, aggRule, { ...keyOptions, bySection: aggBySection });
       setAggItems(ag);
 
       setAggPhase("ok");
-      const keyLabel =
-        aggRule === "code_only"
-          ? "Apenas Codigo"
-          : aggRule === "desc_only"
-          ? "Apenas Descricao"
-          : "Codigo + Descricao";
       setAggText("Soma concluida!");
+      const pending = ag.reduce((n, x) => n + x.qtd_pendentes, 0);
+      const conflicts = ag.filter((x) => x.conflitos.length).length;
       setAggLines([
-        `Regra: ${keyLabel}`,
+        `Regra: ${ruleLabel(aggRule)}${aggBySection ? " | por secao" : ""}`,
         `Itens unicos: ${fmtInt(ag.length)}`,
+        ...(pending ? [`Quantidades nao lidas (fora da soma): ${fmtInt(pending)}`] : []),
+        ...(conflicts ? [`Chaves com conflito de descricao/unidade: ${fmtInt(conflicts)}`] : []),
         "Excel consolidado pronto",
       ]);
 
-      if (file) {
-        const extra = `\n\n--- Consolidado (amostra) ---\n${ag
-          .slice(0, 10)
-          .map(
-            (x, i) =>
-              `${String(i + 1).padStart(2, "0")}. ${x.codigo} | ${x.descricao} | qtd=${fmtQty(
-                x.quantidade
-              )}`
-          )
-          .join("\n")}`;
-        setLogText((prev) => (prev ? prev + extra : extra));
-      }
     } catch (err) {
       setAggPhase("err");
       setAggText("Erro na consolidacao.");
       setAggLines([String(err?.message ?? err)]);
     }
-  }, [aggRule, canAggregate, items, file]);
+  }, [aggRule, aggBySection, keyOptions, canAggregate, items]);
+
+  const loadHistoryResult = useCallback(async (entry) => {
+    const result = await loadRunResult(entry.id);
+    if (!result) throw new Error(`Resultado de ${entry.arquivo} nao encontrado no historico.`);
+    return result;
+  }, []);
+
+  const openRun = useCallback(
+    async (entry) => {
+      setHistoryMsg("");
+      try {
+        const r = await loadHistoryResult(entry);
+        const { detection: det, columnOverrides: overrides, aggRule: rule, aggBySection: bySection } = entry.config;
+        const nextDetection = { ...DEFAULT_DETECTION, ...det };
+
+        setFiles([]);
+        setFileStatus([]);
+        setTableList([]);
+        setRestored(entry);
+        setRunId(entry.id);
+        setHistoryReport(null);
+        setCopyMsg("");
+        setAnnotateMsg("");
+
+        setDetection(nextDetection);
+        setKeywordsText(nextDetection.keywords.join("\n"));
+        setColumnOverrides(overrides ?? {});
+        setAggRule(rule);
+        setAggBySection(bySection);
+
+        setItems(r.items);
+        nextIdRef.current = r.items.reduce((max, it) => Math.max(max, it.id ?? 0), 0) + 1;
+        setMeta(r.meta);
+        setIgnoredRows(r.ignoredRows);
+        setExtractLog(r.logText);
+        setAudit(r.audit ?? []);
+        setRunCatalog(r.catalog ?? null);
+        setAggItems(r.aggItems ?? []);
+        setAggPhase(r.aggItems?.length ? "ok" : "idle");
+        setAggText(r.aggItems?.length ? "Consolidado reaberto do historico." : "Escolha a regra e gere a planilha consolidada.");
+        setAggLines(
+          r.aggItems?.length
+            ? [`Regra: ${ruleLabel(rule)}${bySection ? " | por secao" : ""}`, `Itens unicos: ${fmtInt(r.aggItems.length)}`]
+            : ["Aguardando acao."]
+        );
+
+        setPhase("ok");
+        setStatusText("Resultado reaberto do historico.");
+        setLines([
+          `Extracao de ${fmtDateTime(entry.criado_em)}`,
+          `Itens: ${fmtInt(r.items.length)}`,
+          "Para reprocessar, envie os arquivos novamente.",
+        ]);
+      } catch (err) {
+        setHistoryMsg(String(err?.message ?? err));
+      }
+    },
+    [loadHistoryResult]
+  );
+
+  const downloadRun = useCallback(
+    async (entry) => {
+      setHistoryMsg("");
+      try {
+        const r = await loadHistoryResult(entry);
+        const { detection: det, aggRule: rule, aggBySection: bySection } = entry.config;
+        const runKeyOptions = { codeNormalize: det.codeNormalize, descNormalize: det.descNormalize };
+        const aggregated = consolidatedItems(
+          aggregateItems(r.items, rule, { ...runKeyOptions, bySection }),
+          rule,
+          indexCatalog(r.catalog ?? null, runKeyOptions),
+          runKeyOptions
+        );
+        const summary = buildSummaryRows({
+          fileName: entry.arquivo,
+          meta: r.meta,
+          detection: det,
+          profile: entry.config.perfil,
+          aggRule: rule,
+          bySection,
+          aggregated,
+          catalog: r.catalog ?? null,
+        });
+        await buildXlsx(
+          { items: r.items, aggregated, ignored: r.ignoredRows, summary },
+          `itens_${batchBaseName(entry.arquivos)}_${entry.criado_em.slice(0, 10)}`
+        );
+      } catch (err) {
+        setHistoryMsg(String(err?.message ?? err));
+      }
+    },
+    [loadHistoryResult]
+  );
+
+  const downloadRunLog = useCallback(
+    async (entry) => {
+      setHistoryMsg("");
+      try {
+        const r = await loadHistoryResult(entry);
+        await exportLog(
+          logWithAudit(r.logText + consolidatedLogBlock(r.aggItems), r.audit, r.items.length),
+          `itens_log_${batchBaseName(entry.arquivos)}_${entry.criado_em.slice(0, 10)}`
+        );
+      } catch (err) {
+        setHistoryMsg(String(err?.message ?? err));
+      }
+    },
+    [loadHistoryResult]
+  );
+
+  const compareRun = useCallback(
+    async (entry) => {
+      setHistoryMsg("");
+      try {
+        const r = await loadHistoryResult(entry);
+        setHistoryReport({
+          ...diffItems(r.items, items, aggRule, keyOptions),
+          before: `${entry.arquivo} (${fmtDateTime(entry.criado_em)})`,
+          after: `${batchLabel(source) || "resultado"} (atual)`,
+        });
+      } catch (err) {
+        setHistoryMsg(String(err?.message ?? err));
+      }
+    },
+    [loadHistoryResult, items, aggRule, keyOptions, source]
+  );
+
+  const exportHistoryReport = useCallback(() => {
+    if (!historyReport) return;
+    void saveWorkbook(buildDiffWorkbook(historyReport), `comparativo_historico_${batchBaseName(source)}`);
+  }, [historyReport, source]);
+
+  const removeRun = useCallback(
+    async (entry) => {
+      try {
+        await deleteRun(entry.id);
+        if (entry.id === runId) setRunId(null);
+        setHistoryReport(null);
+        await refreshHistory();
+      } catch (err) {
+        setHistoryMsg(String(err?.message ?? err));
+      }
+    },
+    [runId, refreshHistory]
+  );
+
+  const clearAllRuns = useCallback(async () => {
+    if (!window.confirm("Apagar todo o historico de extracoes deste navegador?")) return;
+    try {
+      await clearHistory();
+      setRunId(null);
+      setHistoryReport(null);
+      await refreshHistory();
+    } catch (err) {
+      setHistoryMsg(String(err?.message ?? err));
+    }
+  }, [refreshHistory]);
 
   const badge = useMemo(() => {
     if (phase === "work") return { kind: "work", icon: <Loader2 size={16} className="spin" /> };
@@ -591,9 +2654,6 @@ export default function AppExtratorDocx() {
     return { kind: "idle", icon: <Info size={16} /> };
   }, [aggPhase]);
 
-  const keyLabel =
-    aggRule === "code_only" ? "Apenas Codigo" : aggRule === "desc_only" ? "Apenas Descricao" : "Codigo + Descricao";
-
   return (
     <div className="app">
       <header className="app__header">
@@ -616,7 +2676,9 @@ export default function AppExtratorDocx() {
           title="1) Enviar e processar"
           desc={
             <>
-              Envie um arquivo <b>.docx</b>. Depois gere o <b>Excel bruto</b> e (opcional) o <b>consolidado</b>.
+              Envie um ou mais arquivos <b>.docx</b>, <b>.docm</b>, <b>.dotx</b>, <b>.odt</b> ou <b>.html</b> (ou uma
+              pasta). Depois gere o <b>Excel bruto</b> e (opcional) o{" "}
+              <b>consolidado</b> de todos os arquivos.
             </>
           }
           right={
@@ -651,40 +2713,142 @@ export default function AppExtratorDocx() {
               <div className="dropzone__row">
                 <div className="dropzone__icon">DOCX</div>
                 <div className="dropzone__copy">
-                  <div className="dropzone__title">Arraste o arquivo aqui</div>
-                  <div className="dropzone__hint">ou clique para selecionar</div>
+                  <div className="dropzone__title">Arraste os arquivos ou uma pasta aqui</div>
+                  <div className="dropzone__hint">ou clique para selecionar (varios arquivos permitidos)</div>
                 </div>
               </div>
-              <div className="dropzone__hint">Max. recomendado: 20MB</div>
+              <div className="dropzone__hint">Max. recomendado: 20MB por arquivo</div>
             </div>
           </div>
 
-          <input ref={inputRef} type="file" accept=".docx" hidden onChange={onInputChange} />
+          <input ref={inputRef} type="file" accept={INPUT_ACCEPT} multiple hidden onChange={onInputChange} />
+          <input ref={folderRef} type="file" webkitdirectory="" directory="" hidden onChange={onInputChange} />
+
+          <label className="field paste">
+            <span className="field__label">Ou cole uma tabela copiada do Word, Excel ou e-mail (Ctrl+V)</span>
+            <textarea
+              className="field__input paste__target"
+              rows={2}
+              value=""
+              onChange={() => {}}
+              onPaste={onPasteTable}
+              disabled={phase === "work"}
+              placeholder='Clique aqui e cole: a tabela vira a origem "clipboard" e segue as mesmas regras dos arquivos.'
+            />
+          </label>
+
+          <CatalogOptions
+            catalog={catalog}
+            message={catalogMsg}
+            onImport={importCatalog}
+            onClear={clearCatalog}
+            disabled={phase === "work"}
+          />
+
+          <ProfileOptions
+            profiles={profiles}
+            active={activeProfile}
+            modified={profileModified}
+            message={profileMsg}
+            onSelect={selectProfile}
+            onSave={saveProfile}
+            onDelete={deleteProfile}
+            onExport={exportProfiles}
+            onImport={importProfiles}
+            disabled={phase === "work"}
+          />
+
+          <DetectionOptions
+            value={detection}
+            onChange={changeDetection}
+            keywordsText={keywordsText}
+            onKeywordsText={onKeywordsText}
+            tables={tableList}
+            onScan={scanTables}
+            scanning={scanning}
+            canScan={files.length > 0}
+            disabled={phase === "work"}
+          />
 
           <div className="actions" style={{ marginTop: "14px" }}>
             <button type="button" onClick={processDoc} disabled={!canProcess} className="btn btn--primary">
               {phase === "work" ? <Loader2 size={16} className="spin" /> : <FileText size={16} />}
               Processar documento
             </button>
+            {phase === "work" ? (
+              <button type="button" onClick={cancelProcess} className="btn btn--outline">
+                <X size={16} />
+                Cancelar
+              </button>
+            ) : null}
             <button type="button" onClick={onPick} disabled={phase === "work"} className="btn btn--outline">
               <CloudUpload size={16} />
-              Selecionar outro
+              Selecionar arquivos
+            </button>
+            <button type="button" onClick={onPickFolder} disabled={phase === "work"} className="btn btn--outline">
+              <FolderOpen size={16} />
+              Selecionar pasta
             </button>
           </div>
 
           <div className="status" style={{ marginTop: "14px" }}>
             <div className="status__top">
               <span>{statusText}</span>
-              <span className="status__file">{file?.name ?? "(nenhum)"}</span>
+              <span className="status__file">{batchLabel(source) || "(nenhum)"}</span>
             </div>
+            {progress !== null ? (
+              <div
+                className="progress"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(progress * 100)}
+              >
+                <div className="progress__bar" style={{ width: `${Math.round(progress * 100)}%` }} />
+              </div>
+            ) : null}
             <div className="status__lines">
               {lines.map((l, i) => (
                 <span key={i}>{l}</span>
               ))}
             </div>
+            {files.length > 1 ? <FileList statuses={fileStatus} /> : null}
           </div>
+
+          <ColumnMappingPanel
+            tables={meta?.mappings}
+            overrides={columnOverrides}
+            onChange={setColumnOverrides}
+            onReprocess={processDoc}
+            disabled={phase === "work"}
+          />
         </Section>
 
+        {phase === "ok" || ignoredRows.length ? (
+          <Section
+            title="4) Conferir e editar itens"
+            desc="Todas as linhas extraidas. Clique no titulo da coluna para ordenar; edite direto na celula (Enter confirma, Esc desfaz)."
+          >
+            {items.length ? (
+              <ResultsGrid
+                items={items}
+                codeRe={codeRe}
+                onEdit={editItem}
+                onDelete={deleteItem}
+                showArquivo={source.length > 1}
+              />
+            ) : (
+              <p className="panel__desc">Nenhum item no resultado. Inclua linhas ignoradas abaixo, se for o caso.</p>
+            )}
+            <IgnoredRowsPanel rows={ignoredRows} onPromote={promoteIgnored} />
+            {audit.length ? (
+              <div className="status__lines">
+                <span>{fmtInt(audit.length)} alteracao(oes) manual(is) registrada(s) no log</span>
+              </div>
+            ) : null}
+          </Section>
+        ) : null}
+
         {phase === "ok" ? (
           <Section title="Resultado" desc="Pronto para download.">
             <div className="status__top" style={{ marginBottom: "10px" }}>
@@ -694,19 +2858,54 @@ export default function AppExtratorDocx() {
             <div className="actions">
               <button type="button" onClick={downloadBruto} disabled={!items.length} className="btn btn--primary">
                 <Download size={16} />
-                Baixar Excel bruto
+                Baixar Excel
               </button>
               <button type="button" onClick={downloadLog} disabled={!logText} className="btn btn--outline">
                 <Download size={16} />
                 Baixar Log
               </button>
+              <button
+                type="button"
+                onClick={downloadAnnotated}
+                disabled={!canAnnotate}
+                className="btn btn--outline"
+                title={canAnnotate ? "" : "Disponivel para arquivos DOCX carregados nesta sessao"}
+              >
+                <FileText size={16} />
+                Baixar DOCX anotado
+              </button>
+            </div>
+            <div className="actions" style={{ marginTop: "10px" }}>
+              <button type="button" onClick={() => downloadCsv("ptbr")} disabled={!items.length} className="btn btn--outline">
+                <FileSpreadsheet size={16} />
+                CSV (pt-BR ;)
+              </button>
+              <button type="button" onClick={() => downloadCsv("padrao")} disabled={!items.length} className="btn btn--outline">
+                <FileSpreadsheet size={16} />
+                CSV padrao (,)
+              </button>
+              <button type="button" onClick={downloadJson} disabled={!items.length} className="btn btn--outline">
+                <FileJson size={16} />
+                JSON
+              </button>
+              <button type="button" onClick={copyTable} disabled={!items.length} className="btn btn--outline">
+                <ClipboardCopy size={16} />
+                Copiar tabela
+              </button>
             </div>
+            {copyMsg || annotateMsg ? (
+              <div className="status__lines" style={{ marginTop: "8px" }}>
+                {copyMsg ? <span>{copyMsg}</span> : null}
+                {annotateMsg ? <span>{annotateMsg}</span> : null}
+              </div>
+            ) : null}
+
           </Section>
         ) : null}
 
         <AnimatePresence>
           {phase === "ok" && items.length > 0 ? (
-            <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 8 }} transition={{ duration: 0.2 }}>
+            <Motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 8 }} transition={{ duration: 0.2 }}>
               <Section
                 title="3) Somar itens iguais"
                 desc={
@@ -722,11 +2921,7 @@ export default function AppExtratorDocx() {
               >
                 <div className="panel__desc">Regra de chave:</div>
                 <div className="rule-grid">
-                  {[
-                    { v: "code_desc", label: "Codigo + Descricao" },
-                    { v: "code_only", label: "Apenas Codigo" },
-                    { v: "desc_only", label: "Apenas Descricao" },
-                  ].map((opt) => (
+                  {AGG_RULES.map((opt) => (
                     <label key={opt.v} className="rule-card">
                       <input
                         type="radio"
@@ -738,6 +2933,15 @@ export default function AppExtratorDocx() {
                       {opt.label}
                     </label>
                   ))}
+                  <label className="rule-card">
+                    <input
+                      type="checkbox"
+                      checked={aggBySection}
+                      disabled={!items.some((it) => it.secao)}
+                      onChange={(e) => setAggBySection(e.target.checked)}
+                    />
+                    Somar por secao
+                  </label>
                 </div>
 
                 <div className="actions" style={{ marginTop: "14px" }}>
@@ -777,8 +2981,46 @@ export default function AppExtratorDocx() {
                             <div className="preview__meta">
                               <div className="preview__code">{x.codigo || "(sem codigo)"}</div>
                               <div className="preview__desc">{x.descricao || "(sem descricao)"}</div>
+                              {x.secao !== undefined ? (
+                                <div className="preview__origin">{x.secao || "(sem secao)"}</div>
+                              ) : null}
+                              {x.linhas ? (
+                                <div className="preview__origin" title={x.origens.join("\n")}>
+                                  {x.linhas} linha(s): {x.origens.slice(0, 4).join(", ")}
+                                  {x.origens.length > 4 ? ` +${x.origens.length - 4}` : ""}
+                                </div>
+                              ) : null}
+                              {x.conflitos?.length ? (
+                                <div className="preview__warn">Conflito: {describeConflicts(x.conflitos)}</div>
+                              ) : null}
+                            </div>
+                            <div className="preview__qty">
+                              {fmtQty(x.quantidade)}
+                              {x.unidade ? ` ${x.unidade}` : ""}
+                              {Number.isFinite(x.total) ? <div className="preview__origin">total: {fmtQty(x.total)}</div> : null}
+                              {x.qtd_pendentes ? (
+                                <div className="preview__warn">{x.qtd_pendentes} qtd. nao lida(s)</div>
+                              ) : null}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ) : null}
+
+                  {aggPhase === "ok" && aggConflicts.length ? (
+                    <div className="panel" style={{ marginTop: "12px", padding: "14px" }}>
+                      <div className="panel__title" style={{ fontSize: "12px" }}>
+                        Conflitos de descricao/unidade ({aggConflicts.length})
+                      </div>
+                      <div className="preview" style={{ marginTop: "10px" }}>
+                        {aggConflicts.map((x, idx) => (
+                          <div key={idx} className="preview__item">
+                            <div className="preview__meta">
+                              <div className="preview__code">{x.codigo || x.descricao}</div>
+                              <div className="preview__warn">{describeConflicts(x.conflitos)}</div>
+                              <div className="preview__origin">{x.origens.join(", ")}</div>
                             </div>
-                            <div className="preview__qty">{fmtQty(x.quantidade)}</div>
                           </div>
                         ))}
                       </div>
@@ -786,10 +3028,36 @@ export default function AppExtratorDocx() {
                   ) : null}
                 </div>
               </Section>
-            </motion.div>
+            </Motion.div>
           ) : null}
         </AnimatePresence>
 
+        {phase === "ok" && items.length > 0 ? (
+          <MatrixPanel items={items} rule={aggRule} keyOptions={keyOptions} onDownload={downloadMatrix} />
+        ) : null}
+
+        <ComparePanel
+          detection={detection}
+          defaultRule={aggRule}
+          disabled={phase === "work" || scanning}
+        />
+
+        <HistoryPanel
+          entries={history}
+          message={historyMsg}
+          currentId={runId}
+          canCompare={items.length > 0}
+          report={historyReport}
+          onOpen={openRun}
+          onDownload={downloadRun}
+          onDownloadLog={downloadRunLog}
+          onCompare={compareRun}
+          onExportReport={exportHistoryReport}
+          onDelete={removeRun}
+          onClear={clearAllRuns}
+          disabled={phase === "work"}
+        />
+
         <details className="panel">
           <summary className="panel__title">Detalhes tecnicos</summary>
           <Section title="2) Resumo" desc="Metricas do processamento e do consolidado (quando gerado).">
@@ -798,63 +3066,86 @@ export default function AppExtratorDocx() {
               <StatCard
                 label="Itens somados"
                 value={fmtInt(aggItems.length)}
-                sub={aggPhase === "ok" ? `Regra: ${keyLabel}` : "-"}
+                sub={aggPhase === "ok" ? `Regra: ${ruleLabel(aggRule)}` : "-"}
               />
               <div className="stats__wide">
                 <StatCard label="Tabelas / Itens" value={meta ? `${meta.tables_total} / ${meta.itens_tables}` : "-"} />
                 <StatCard label="Ignoradas" value={meta ? fmtInt(meta.rows_ignored) : "-"} />
               </div>
+              {meta?.qty_warnings ? (
+                <StatCard
+                  label="Quantidades a conferir"
+                  value={fmtInt(meta.qty_warnings)}
+                  sub="ambiguas ou nao numericas (fora da soma)"
+                />
+              ) : null}
+              {meta?.totals_divergent ? (
+                <StatCard
+                  label="Totais divergentes"
+                  value={fmtInt(meta.totals_divergent)}
+                  sub="quantidade x preco unit. diferente do total"
+                />
+              ) : null}
             </div>
           </Section>
 
-          <AnimatePresence>
-            {phase === "ok" && items.length ? (
-              <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 8 }} transition={{ duration: 0.2 }}>
-                <Section
-                  title="4) Previa dos itens extraidos"
-                  desc="Mostra os 10 primeiros itens extraidos para conferencia rapida."
-                >
-                  <div className="status__top" style={{ marginBottom: "10px" }}>
-                    <span className="panel__title" style={{ fontSize: "12px" }}>
-                      Primeiros 10
-                    </span>
-                    <span className="status__file">{fmtInt(items.length)} linhas</span>
-                  </div>
-
-                  <div className="preview">
-                    {items.slice(0, 10).map((it, idx) => (
-                      <div key={idx} className="preview__item">
-                        <div className="preview__meta">
-                          <div className="preview__code">{it.codigo}</div>
-                          <div className="preview__desc">{it.descricao || "(sem descricao)"}</div>
-                          <div className="preview__origin">origem: {it.origem}</div>
-                        </div>
-                        <div className="preview__qty">{it.quantidade_raw}</div>
-                      </div>
-                    ))}
-                  </div>
-                </Section>
-              </motion.div>
-            ) : null}
-          </AnimatePresence>
-
           <Section title="5) Regras e privacidade" desc="Referencia rapida das regras de extracao e garantia de processamento local.">
             <div className="info-grid">
               <div className="info-card">
                 <div className="info-card__title">Regras de extracao</div>
                 <ul>
-                  <li>Busca tabelas com cabecalho "Itens" na 1a linha.</li>
-                  <li>Coluna 1: Codigo (aceita 17.4 / 13.12 etc). Ignora #N/D.</li>
-                  <li>Coluna 2: Descricao.</li>
-                  <li>Quantidade: prefere 3a coluna; fallback por numero na linha.</li>
-                  <li>Exporta Excel (.xlsx) e Log (.txt).</li>
+                  <li>
+                    Formatos: DOCX (e DOCM/DOTX), ODT e HTML exportado; o formato e reconhecido pelo conteudo e todos
+                    passam pelas mesmas regras e pelo mesmo log.
+                  </li>
+                  <li>
+                    Tabela colada (Word, Excel, e-mail): le o HTML da area de transferencia (ou o texto com tabulacao) e
+                    marca a origem como clipboard (ex.: clipboard:T1/L2).
+                  </li>
+                  <li>Busca tabelas pelas palavras-chave do cabecalho (padrao: "Itens" na 1a linha), sem diferenciar acentos.</li>
+                  <li>Modo manual: extrai apenas as tabelas marcadas.</li>
+                  <li>Colunas pelo nome no cabecalho (Codigo, Descricao, Unid., Quant., Preco Unit., Total).</li>
+                  <li>Sem cabecalho: coluna 1 Codigo, 2 Descricao, 3 Quantidade (fallback por numero na linha).</li>
+                  <li>
+                    Quantidade em pt-BR ou en-US, com moeda, unidade ("12,5 m2" preenche a unidade), negativo e %. "1.500"
+                    sem decimais e ambiguo: fica para conferir e fora da soma.
+                  </li>
+                  <li>
+                    Codigo: padroes prontos (SINAPI, SICRO, CPOS, ORSE...) e regex proprias; o log mostra o padrao de cada
+                    codigo. Zeros a esquerda e separadores podem ser ignorados na soma.
+                  </li>
+                  <li>
+                    Consolidado: cada linha mostra quantas linhas somou e de onde vieram; chaves com descricao ou unidade
+                    diferentes entre os itens aparecem como conflito (aba "Conflitos" e log).
+                  </li>
+                  <li>Codigo aceita 17.4 / 13.12 etc. (ou o padrao do perfil). #N/D conta como vazio, salvo se o perfil mandar manter.</li>
+                  <li>Perfis: guardam deteccao, padrao de codigo, colunas fixas, #N/D e regra de consolidacao; o perfil ativo vai para o log.</li>
+                  <li>Celulas mescladas viram uma grade fixa; mesclagem vertical repete o valor de cima.</li>
+                  <li>Tabelas aninhadas sao lidas como tabelas proprias.</li>
+                  <li>Alteracoes controladas: le o texto final (aceitas) ou o original; cabecalho/rodape e caixas de texto sao opcionais e aparecem na Origem (ex.: header1:T1/L2, caixa:T3/L4).</li>
+                  <li>Secao: titulo (estilo Titulo do Word ou padrao configurado) mais proximo acima da tabela; pode somar por secao.</li>
+                  <li>Mapeamento ambiguo pode ser ajustado manualmente e fica registrado no log.</li>
+                  <li>Unidade, Preco Unit. e Total sao lidos quando o cabecalho tem essas colunas; qtd x preco diferente do total e sinalizado.</li>
+                  <li>Catalogo (opcional): marca codigos ausentes e descricoes divergentes; exporta unidade e preco do catalogo.</li>
+                  <li>Linhas podem ser editadas, excluidas ou incluidas (ignoradas corrigidas); cada alteracao vai para o log.</li>
+                  <li>Varios arquivos: um resultado unico, com Arquivo e Origem em cada linha.</li>
+                  <li>Comparar versoes: casa itens pela regra de chave e lista incluidos, removidos, quantidade e descricao alteradas.</li>
+                  <li>
+                    DOCX anotado: copia do documento com as linhas extraidas em verde e as ignoradas em amarelo, com um
+                    comentario do Word trazendo o motivo (skip_code_invalid, skip_qty_empty_or_ND...).
+                  </li>
+                  <li>Excel: abas Itens, Consolidado, Ignorados e Resumo, com linha TOTAL, filtro e cabecalho congelado.</li>
+                  <li>A leitura roda em segundo plano (worker), com progresso real e opcao de cancelar.</li>
+                  <li>Historico: cada extracao fica salva neste navegador (arquivo, SHA-256, data, metricas, configuracao e resultado) para reabrir, baixar de novo ou comparar.</li>
+                  <li>Exporta Excel (.xlsx), CSV (pt-BR com ";" ou padrao com ","), JSON e Log (.txt); "Copiar tabela" cola direto em planilhas.</li>
                 </ul>
               </div>
 
               <div className="info-card">
                 <div className="info-card__title">Privacidade</div>
                 <p className="panel__desc">
-                  O processamento acontece no seu navegador. Nenhum arquivo e enviado para servidor.
+                  O processamento acontece no seu navegador. Nenhum arquivo e enviado para servidor. O historico fica no
+                  IndexedDB deste navegador (so os resultados, nao os documentos) e pode ser apagado no painel Historico.
                 </p>
               </div>
             </div>
@@ -0,0 +1,233 @@
+/** Soma de itens iguais pela regra de chave escolhida. */
+
+import { foldText, fmtQty, norm, normalizeCode, normalizeDescription, parseQuantity } from "./extract.js";
+import { applyCatalog } from "./catalog.js";
+
+/** Total usado nas somas: o do documento quando existe, senao o calculado. */
+export function itemTotal(it) {
+  if (Number.isFinite(it.total)) return it.total;
+  return Number.isFinite(it.total_calc) ? it.total_calc : NaN;
+}
+
+/** Regras de chave para somar itens iguais (e para casar itens entre versoes). */
+export const AGG_RULES = [
+  { v: "code_desc", label: "Codigo + Descricao" },
+  { v: "code_only", label: "Apenas Codigo" },
+  { v: "desc_only", label: "Apenas Descricao" },
+];
+
+export function ruleLabel(rule) {
+  return (AGG_RULES.find((r) => r.v === rule) ?? AGG_RULES[0]).label;
+}
+
+/**
+ * Opcoes da chave de soma, vindas da deteccao: `codeNormalize` deixa iguais codigos escritos de
+ * formas diferentes ("02.01.005" e "2.1.5"); `descNormalize` faz o mesmo com descricoes
+ * ("Concreto  fck 25" e "Concreto fck25").
+ * @typedef {{ codeNormalize?: { zeros?: boolean; separators?: boolean }; descNormalize?: { accents?: boolean; punctuation?: boolean; spaces?: boolean } }} KeyOptions
+ */
+
+/**
+ * Linha somada. `origens` traz as linhas do documento (com o arquivo quando ha varios).
+ * @typedef {{ secao?: string; codigo: string; descricao: string; unidade: string; quantidade: number; total: number; qtd_pendentes: number; linhas: number; origens: string[]; conflitos: { campo: string; valores: string[] }[] }} AggregatedRow
+ */
+
+/**
+ * Chave de soma do item.
+ * @param {KeyOptions} [options]
+ */
+export function aggregationKey(it, rule, options = {}) {
+  const code = normalizeCode(it.codigo, options.codeNormalize);
+  const desc = normalizeDescription(it.descricao, options.descNormalize);
+  if (rule === "code_only") return code;
+  if (rule === "desc_only") return desc;
+  return `${code}|${desc}`;
+}
+
+/** Conta uma variante de texto; `key` agrupa grafias equivalentes (a primeira grafia fica). */
+function countVariant(variants, value, key) {
+  const v = norm(value);
+  if (!v) return;
+  const prev = variants.get(key(v));
+  if (prev) prev.n += 1;
+  else variants.set(key(v), { value: v, n: 1 });
+}
+
+/** Variante mais frequente (no empate, a que apareceu primeiro). */
+function mostFrequent(variants) {
+  let best = null;
+  variants.forEach((v) => {
+    if (!best || v.n > best.n) best = v;
+  });
+  return best?.value ?? "";
+}
+
+/**
+ * Soma quantidades (e totais) dos itens com a mesma chave.
+ * Com `bySection`, a secao entra na chave: um total por local em vez de um total geral.
+ * Quantidades que nao puderam ser lidas nao entram na soma: sao contadas em `qtd_pendentes`.
+ * Cada linha guarda as origens somadas (`origens`, `linhas`) e, quando os itens da chave
+ * discordam na descricao ou na unidade, as variantes em `conflitos`; a descricao e a unidade
+ * mostradas sao as mais frequentes.
+ * @param {Item[]} items
+ * @param {string} rule
+ * @param {{ bySection?: boolean } & KeyOptions} [options]
+ * @returns {AggregatedRow[]}
+ */
+export function aggregateItems(items, rule, options = {}) {
+  /** @type {Map<string, AggregatedRow & { descs: Map<string, {value:string, n:number}>, units: Map<string, {value:string, n:number}> }>} */
+  const map = new Map();
+  const multiFile = new Set(items.map((it) => it.arquivo)).size > 1;
+  const descKey = (d) => normalizeDescription(d, options.descNormalize);
+
+  items.forEach((it) => {
+    const base = aggregationKey(it, rule, options);
+    const key = options.bySection ? `${foldText(it.secao)}|${base}` : base;
+    const q = Number.isFinite(it.quantidade) ? it.quantidade : parseQuantity(it.quantidade_raw).value;
+    const read = Number.isFinite(q);
+    const t = itemTotal(it);
+
+    let row = map.get(key);
+    if (!row) {
+      row = {
+        ...(options.bySection ? { secao: it.secao ?? "" } : {}),
+        codigo: rule === "desc_only" ? "" : it.codigo,
+        descricao: "",
+        unidade: "",
+        quantidade: 0,
+        total: NaN,
+        qtd_pendentes: 0,
+        linhas: 0,
+        origens: [],
+        conflitos: [],
+        descs: new Map(),
+        units: new Map(),
+      };
+      map.set(key, row);
+    }
+
+    if (read) row.quantidade += q;
+    else row.qtd_pendentes += 1;
+    if (Number.isFinite(t)) row.total = Number.isFinite(row.total) ? row.total + t : t;
+    row.linhas += 1;
+    if (it.origem) row.origens.push(multiFile && it.arquivo ? `${it.arquivo} ${it.origem}` : it.origem);
+    countVariant(row.descs, it.descricao, descKey);
+    countVariant(row.units, it.unidade, foldText);
+  });
+
+  const rows = Array.from(map.values(), ({ descs, units, ...row }) => {
+    const conflitos = [
+      descs.size > 1 && { campo: "descricao", valores: Array.from(descs.values(), (v) => v.value) },
+      units.size > 1 && { campo: "unidade", valores: Array.from(units.values(), (v) => v.value) },
+    ].filter(Boolean);
+    return { ...row, descricao: mostFrequent(descs), unidade: mostFrequent(units), conflitos };
+  });
+
+  return rows.sort((a, b) => {
+    const bySection = (a.secao ?? "").localeCompare(b.secao ?? "", "pt-BR", { numeric: true });
+    if (bySection) return bySection;
+    const ak = `${a.codigo} ${a.descricao}`.trim().toLowerCase();
+    const bk = `${b.codigo} ${b.descricao}`.trim().toLowerCase();
+    return ak.localeCompare(bk, "pt-BR");
+  });
+}
+
+/** Conflitos em texto: "descricao: Tubo PVC | Tubo soldavel; unidade: m | un". */
+export function describeConflicts(conflitos) {
+  return (conflitos ?? []).map((c) => `${c.campo}: ${c.valores.join(" | ")}`).join("; ");
+}
+
+/**
+ * Linhas do consolidado no formato de Item, para exportar. Com "Apenas Descricao" nao ha
+ * codigo para conferir no catalogo.
+ * @param {KeyOptions} [options] as mesmas usadas em `indexCatalog`
+ */
+export function consolidatedItems(aggregated, rule, catalogIndex, options = {}) {
+  const rows = aggregated.map((x) => ({
+    ...(x.secao !== undefined ? { secao: x.secao } : {}),
+    codigo: x.codigo,
+    descricao: x.descricao,
+    unidade: x.unidade,
+    quantidade_raw: fmtQty(x.quantidade),
+    quantidade: x.quantidade,
+    total: x.total,
+    ...(x.qtd_pendentes ? { quantidade_aviso: `${x.qtd_pendentes} quantidade(s) nao lida(s) fora da soma` } : {}),
+    ...(x.linhas ? { linhas: x.linhas, origens: x.origens } : {}),
+    ...(x.conflitos?.length ? { conflitos: x.conflitos } : {}),
+  }));
+  return rule === "desc_only" ? rows : applyCatalog(rows, catalogIndex, options);
+}
+
+/** Dimensoes das colunas da matriz. */
+export const MATRIX_DIMENSIONS = [
+  { v: "tabela", label: "Tabela (T1, T2...)" },
+  { v: "secao", label: "Secao" },
+  { v: "arquivo", label: "Arquivo" },
+];
+
+/** Tabela de origem do item: "T2" (ou "header1:T1") de "T2/L5". */
+function originTable(origem) {
+  const s = String(origem ?? "");
+  const cut = s.lastIndexOf("/L");
+  return cut >= 0 ? s.slice(0, cut) : s;
+}
+
+/**
+ * @typedef {{ codigo: string; descricao: string; unidade: string; celulas: Record<string, number>; total: number; qtd_pendentes: number; linhas: number }} MatrixRow
+ * @typedef {{ dimension: string; columns: string[]; rows: MatrixRow[] }} Matrix
+ */
+
+/**
+ * Matriz de quantidades: uma linha por chave da regra (como no consolidado) e uma coluna por
+ * tabela, secao ou arquivo de origem, na ordem em que aparecem no documento, mais o total.
+ * Quantidades nao lidas ficam fora das celulas e do total (contadas em `qtd_pendentes`).
+ * @param {Item[]} items
+ * @param {string} rule
+ * @param {string} dimension valor de MATRIX_DIMENSIONS
+ * @param {KeyOptions} [options]
+ * @returns {Matrix}
+ */
+export function buildMatrix(items, rule, dimension, options = {}) {
+  const multiFile = new Set(items.map((it) => it.arquivo)).size > 1;
+  const columnOf = {
+    tabela: (it) => `${multiFile && it.arquivo ? `${it.arquivo} ` : ""}${originTable(it.origem)}`,
+    secao: (it) => it.secao || "(sem secao)",
+    arquivo: (it) => it.arquivo || "(sem arquivo)",
+  }[dimension];
+  if (!columnOf) throw new Error(`Dimensao da matriz desconhecida: ${dimension}`);
+
+  const columns = [];
+  const groups = new Map();
+  items.forEach((it) => {
+    const col = columnOf(it);
+    if (!columns.includes(col)) columns.push(col);
+    const key = aggregationKey(it, rule, options);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(it);
+  });
+
+  const rows = Array.from(groups.values(), (group) => {
+    const [sum] = aggregateItems(group, rule, options);
+    const celulas = {};
+    group.forEach((it) => {
+      const q = Number.isFinite(it.quantidade) ? it.quantidade : parseQuantity(it.quantidade_raw).value;
+      if (!Number.isFinite(q)) return;
+      const col = columnOf(it);
+      celulas[col] = (celulas[col] ?? 0) + q;
+    });
+    return {
+      codigo: sum.codigo,
+      descricao: sum.descricao,
+      unidade: sum.unidade,
+      celulas,
+      total: sum.quantidade,
+      qtd_pendentes: sum.qtd_pendentes,
+      linhas: sum.linhas,
+    };
+  });
+
+  rows.sort((a, b) =>
+    `${a.codigo} ${a.descricao}`.trim().toLowerCase().localeCompare(`${b.codigo} ${b.descricao}`.trim().toLowerCase(), "pt-BR")
+  );
+  return { dimension, columns, rows };
+}
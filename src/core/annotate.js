@@ -0,0 +1,235 @@
+/**
+ * Copia anotada do DOCX de origem, para conferir a extracao no proprio Word: celulas das linhas
+ * extraidas e das ignoradas ganham sombreamento e cada linha ignorada, um comentario com o motivo.
+ * Sem React e sem DOM do navegador (roda na tela e na CLI).
+ */
+
+import JSZip from "jszip";
+import { XMLSerializer } from "@xmldom/xmldom";
+import { DocxError, IGNORE_REASONS, readDocxTables } from "./extract.js";
+import { safeBaseName } from "./export.js";
+
+export const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+/** Preenchimento das celulas (verde e amarelo dos estilos "Bom" e "Neutro" do Excel). */
+export const ANNOTATION_FILLS = { extraido: "C6EFCE", ignorado: "FFEB9C" };
+
+const AUTHOR = "Extrator de Itens";
+const INITIALS = "EI";
+
+const COMMENTS_PART = "word/comments.xml";
+const COMMENTS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments";
+const COMMENTS_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml";
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+/** Filhos de w:tcPr que vem depois de w:shd na ordem do esquema (o Word recusa fora de ordem). */
+const TCPR_AFTER_SHD = new Set([
+  "w:noWrap",
+  "w:tcMar",
+  "w:textDirection",
+  "w:tcFitText",
+  "w:vAlign",
+  "w:hideMark",
+  "w:headers",
+  "w:cellIns",
+  "w:cellDel",
+  "w:cellMerge",
+  "w:tcPrChange",
+]);
+
+/**
+ * @typedef {{ data: Uint8Array; extraidos: number; ignorados: number; comentarios: number }} AnnotatedDocx
+ */
+
+/**
+ * Nome da copia anotada, com a extensao de origem (DOCM continua com macros, DOTX continua
+ * modelo). O caminho relativo entra no nome: "obra/orcamento.docx" -> "anotado_obra_orcamento.docx".
+ */
+export function annotatedName(name) {
+  const ext = /\.(docx|docm|dotx|dotm)$/i.exec(name)?.[0].toLowerCase() ?? ".docx";
+  return `anotado_${safeBaseName(name)}${ext}`;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/** "header1:T2/L5" -> "header1:T2" e 5. */
+function parseOrigin(origem) {
+  const m = /^(.*)\/L(\d+)$/.exec(origem ?? "");
+  return m ? { label: m[1], linha: Number(m[2]) } : null;
+}
+
+/** Elemento w:* no namespace da propria parte (o mesmo do prefixo w: ja declarado). */
+function wElement(doc, tag, attrs = {}) {
+  const ns = doc.documentElement.namespaceURI || W_NS;
+  const el = doc.createElementNS(ns, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttributeNS(ns, k, v));
+  return el;
+}
+
+function firstChild(node, tag) {
+  for (let c = node.firstChild; c; c = c.nextSibling) {
+    if (c.nodeType === 1 && c.nodeName === tag) return c;
+  }
+  return null;
+}
+
+/** Troca o w:shd da celula pelo preenchimento dado, criando w:tcPr se preciso. */
+function shadeCell(tc, fill) {
+  const doc = tc.ownerDocument;
+  let tcPr = firstChild(tc, "w:tcPr");
+  if (!tcPr) tcPr = tc.insertBefore(wElement(doc, "w:tcPr"), tc.firstChild);
+
+  const old = firstChild(tcPr, "w:shd");
+  if (old) tcPr.removeChild(old);
+
+  let before = tcPr.firstChild;
+  while (before && !(before.nodeType === 1 && TCPR_AFTER_SHD.has(before.nodeName))) before = before.nextSibling;
+  tcPr.insertBefore(wElement(doc, "w:shd", { "w:val": "clear", "w:color": "auto", "w:fill": fill }), before);
+}
+
+/** Marca o primeiro paragrafo da celula com o comentario `id` (inicio, fim e referencia). */
+function anchorComment(tc, id) {
+  const p = firstChild(tc, "w:p");
+  if (!p) return false;
+
+  const doc = tc.ownerDocument;
+  const pPr = firstChild(p, "w:pPr");
+  p.insertBefore(wElement(doc, "w:commentRangeStart", { "w:id": id }), pPr ? pPr.nextSibling : p.firstChild);
+  p.appendChild(wElement(doc, "w:commentRangeEnd", { "w:id": id }));
+  const run = p.appendChild(wElement(doc, "w:r"));
+  run.appendChild(wElement(doc, "w:commentReference", { "w:id": id }));
+  return true;
+}
+
+function commentXml(id, text, date) {
+  return (
+    `<w:comment w:id="${id}" w:author="${AUTHOR}" w:date="${date}" w:initials="${INITIALS}">` +
+    `<w:p><w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p></w:comment>`
+  );
+}
+
+function maxNumber(text, re) {
+  return Math.max(-1, ...Array.from(text.matchAll(re), (m) => Number(m[1])));
+}
+
+/**
+ * Acrescenta os comentarios em word/comments.xml (criando a parte, a relacao e o tipo de
+ * conteudo quando o documento ainda nao tem comentarios).
+ */
+async function writeComments(zip, comments) {
+  const date = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  const entries = comments.map((c) => commentXml(c.id, c.text, date)).join("");
+  const existing = await zip.file(COMMENTS_PART)?.async("string");
+
+  if (existing) {
+    const end = existing.lastIndexOf("</w:comments>");
+    if (end < 0) throw new DocxError("xml_invalido", "word/comments.xml sem </w:comments>.", { part: COMMENTS_PART });
+    zip.file(COMMENTS_PART, `${existing.slice(0, end)}${entries}${existing.slice(end)}`);
+    return;
+  }
+
+  zip.file(
+    COMMENTS_PART,
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:comments xmlns:w="${W_NS}">${entries}</w:comments>`
+  );
+
+  const relsPath = "word/_rels/document.xml.rels";
+  const rels =
+    (await zip.file(relsPath)?.async("string")) ??
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+  if (!rels.includes(COMMENTS_REL)) {
+    const rId = `rId${maxNumber(rels, /Id="rId(\d+)"/g) + 1}`;
+    const rel = `<Relationship Id="${rId}" Type="${COMMENTS_REL}" Target="comments.xml"/>`;
+    zip.file(relsPath, rels.replace(/<\/Relationships>\s*$/, `${rel}</Relationships>`));
+  }
+
+  const types = await zip.file("[Content_Types].xml")?.async("string");
+  if (types && !types.includes('PartName="/word/comments.xml"')) {
+    const override = `<Override PartName="/word/comments.xml" ContentType="${COMMENTS_TYPE}"/>`;
+    zip.file(
+      "[Content_Types].xml",
+      /<\/Types>\s*$/.test(types)
+        ? types.replace(/<\/Types>\s*$/, `${override}</Types>`)
+        : types.replace(/\/>\s*$/, `>${override}</Types>`)
+    );
+  }
+}
+
+/**
+ * Copia do DOCX com as linhas de `items` (extraidas) e `ignored` (ignoradas) deste arquivo
+ * sombreadas; as ignoradas do corpo recebem comentario com o motivo (o Word nao aceita
+ * comentario em cabecalho/rodape, que so ganham o sombreamento). Linhas sao achadas pela
+ * `origem`, com a mesma deteccao usada na extracao.
+ * @param {File} file DOCX, DOCM ou DOTX de origem, com o mesmo nome da extracao (o caminho
+ *   relativo, quando o lote veio de pastas: e ele que separa arquivos de mesmo nome)
+ * @param {{ items: { arquivo: string; origem: string }[]; ignored: import("./extract.js").IgnoredRow[]; detection?: import("./extract.js").DetectionConfig }} result
+ * @returns {Promise<AnnotatedDocx>}
+ */
+export async function annotateDocx(file, { items, ignored, detection }) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await file.arrayBuffer());
+  } catch (err) {
+    throw new DocxError("zip_invalido", "A copia anotada exige um DOCX valido (zip ilegivel).", {
+      detail: String(err?.message ?? err),
+    });
+  }
+  if (!zip.file("word/document.xml")) {
+    throw new DocxError("sem_document_xml", "A copia anotada so existe para DOCX (DOCM/DOTX): falta word/document.xml.", {
+      part: "word/document.xml",
+    });
+  }
+
+  const { parts, tables } = await readDocxTables(zip, file.name, detection);
+  const rowAt = (origem) => {
+    const o = parseOrigin(origem);
+    const t = o && tables.find((x) => x.label === o.label);
+    return t ? { part: t.part, row: t.rows[o.linha - 1] } : null;
+  };
+
+  const touched = new Set();
+  const marked = new Set();
+  let extraidos = 0;
+  let ignorados = 0;
+
+  items
+    .filter((it) => it.arquivo === file.name)
+    .forEach((it) => {
+      const at = rowAt(it.origem);
+      if (!at?.row || marked.has(at.row.tr)) return;
+      marked.add(at.row.tr);
+      at.row.tcs.forEach((tc) => shadeCell(tc, ANNOTATION_FILLS.extraido));
+      touched.add(at.part);
+      extraidos += 1;
+    });
+
+  let nextId = maxNumber((await zip.file(COMMENTS_PART)?.async("string")) ?? "", /w:id="(\d+)"/g) + 1;
+  const comments = [];
+
+  ignored
+    .filter((d) => d.arquivo === file.name)
+    .forEach((d) => {
+      const at = rowAt(d.origem);
+      if (!at?.row?.tcs.length || marked.has(at.row.tr)) return;
+      marked.add(at.row.tr);
+      at.row.tcs.forEach((tc) => shadeCell(tc, ANNOTATION_FILLS.ignorado));
+      touched.add(at.part);
+      ignorados += 1;
+
+      if (at.part || !anchorComment(at.row.tcs[0], String(nextId))) return;
+      const reason = IGNORE_REASONS[d.motivo] ?? d.motivo;
+      comments.push({ id: nextId, text: `${d.motivo}: ${reason}${d.valor ? ` (${d.valor})` : ""}` });
+      nextId += 1;
+    });
+
+  const serializer = new XMLSerializer();
+  parts
+    .filter((p) => touched.has(p.name))
+    .forEach((p) => zip.file(p.path, serializer.serializeToString(p.xml)));
+  if (comments.length) await writeComments(zip, comments);
+
+  const data = await zip.generateAsync({ type: "uint8array", compression: "DEFLATE" });
+  return { data, extraidos, ignorados, comentarios: comments.length };
+}
@@ -0,0 +1,148 @@
+/**
+ * Catalogo de referencia: leitura do XLSX/CSV e conferencia dos itens extraidos.
+ * Guardar o catalogo (localStorage) fica com a tela.
+ */
+
+import * as XLSX from "xlsx";
+import { decodeText, foldText, norm, normalizeCode, parsePtNumber } from "./extract.js";
+
+/**
+ * Catalogo de referencia (composicoes proprias, SINAPI etc.).
+ * `entries` guarda [codigo, descricao, unidade, preco] para ocupar pouco no localStorage.
+ * @typedef {{ name: string; importedAt: string; entries: [string, string, string, number | null][] }} Catalog
+ */
+
+/** Similaridade minima (palavras em comum) para a descricao bater com a do catalogo. */
+const CATALOG_DESC_MIN_SIMILARITY = 0.6;
+
+/** Padroes de cabecalho de catalogo (mais soltos que os da tabela do DOCX: "CODIGO DA COMPOSICAO" etc.). */
+const CATALOG_FIELDS = [
+  { field: "codigo", re: /^cod/ },
+  { field: "descricao", re: /^(descri|discrimina|especifica)/ },
+  { field: "unidade", re: /^(un|und|unid|unidade)\b/ },
+  { field: "preco", re: /(preco|custo|valor)/ },
+];
+
+/**
+ * Chave do codigo no catalogo, com a mesma `codeNormalize` da soma ("02.01.005" acha "2.1.5").
+ * @param {import("./aggregate.js").KeyOptions} [options]
+ */
+export function catalogCodeKey(code, options = {}) {
+  return normalizeCode(code, options.codeNormalize);
+}
+
+/**
+ * Le um XLSX/CSV de catalogo. Procura nas primeiras linhas de cada aba um cabecalho com
+ * ao menos Codigo e Descricao; as linhas seguintes com codigo viram entradas.
+ * CSV/TXT sem BOM que nao e UTF-8 valido e lido como windows-1252 (o "CSV" do Excel em pt-BR).
+ * @returns {Promise<Catalog>}
+ */
+export async function readCatalogFile(file) {
+  const isCsv = /\.(csv|txt)$/i.test(file.name);
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const wb = isCsv
+    ? XLSX.read(decodeText(bytes, "windows-1252"), { type: "string", raw: true })
+    : XLSX.read(bytes, { type: "array" });
+
+  for (const sheetName of wb.SheetNames) {
+    // Texto formatado preserva codigos como "17.10"; o valor bruto serve para o preco numerico.
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1, raw: false, defval: "" });
+    const values = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1, raw: true, defval: "" });
+
+    for (let r = 0; r < Math.min(rows.length, 30); r++) {
+      const cols = {};
+      rows[r].forEach((v, c) => {
+        const ft = foldText(String(v));
+        const f = ft ? CATALOG_FIELDS.find((x) => x.re.test(ft) && cols[x.field] === undefined) : null;
+        if (f) cols[f.field] = c;
+      });
+      if (cols.codigo === undefined || cols.descricao === undefined) continue;
+
+      const entries = [];
+      rows.slice(r + 1).forEach((row, i) => {
+        const code = norm(String(row[cols.codigo] ?? ""));
+        if (!code) return;
+        const rawPrice = cols.preco === undefined ? "" : values[r + 1 + i]?.[cols.preco] ?? "";
+        const price = typeof rawPrice === "number" ? rawPrice : parsePtNumber(String(rawPrice));
+        entries.push([
+          code,
+          norm(String(row[cols.descricao] ?? "")),
+          cols.unidade === undefined ? "" : norm(String(row[cols.unidade] ?? "")),
+          Number.isFinite(price) ? price : null,
+        ]);
+      });
+
+      if (entries.length) return { name: file.name, importedAt: new Date().toISOString(), entries };
+    }
+  }
+
+  throw new Error("Nenhuma aba com colunas Codigo e Descricao foi encontrada no catalogo.");
+}
+
+/**
+ * Indice do catalogo por `catalogCodeKey`; use as mesmas `options` em `applyCatalog`.
+ * @param {import("./aggregate.js").KeyOptions} [options]
+ * @returns {Map<string, { codigo: string; descricao: string; unidade: string; preco: number | null }>}
+ */
+export function indexCatalog(catalog, options = {}) {
+  const map = new Map();
+  (catalog?.entries ?? []).forEach(([codigo, descricao, unidade, preco]) => {
+    const k = catalogCodeKey(codigo, options);
+    if (!map.has(k)) map.set(k, { codigo, descricao, unidade, preco });
+  });
+  return map;
+}
+
+/** Similaridade de descricoes (Dice sobre palavras); 1 quando uma contem a outra. */
+export function textSimilarity(a, b) {
+  const fa = foldText(a).replace(/[^a-z0-9 ]+/g, " ");
+  const fb = foldText(b).replace(/[^a-z0-9 ]+/g, " ");
+  if (!fa.trim() || !fb.trim()) return 0;
+  if (fa.includes(fb) || fb.includes(fa)) return 1;
+
+  const ta = new Set(fa.split(" ").filter((w) => w.length > 1));
+  const tb = new Set(fb.split(" ").filter((w) => w.length > 1));
+  if (!ta.size || !tb.size) return 0;
+  let common = 0;
+  ta.forEach((w) => tb.has(w) && (common += 1));
+  return (2 * common) / (ta.size + tb.size);
+}
+
+export const CATALOG_ITEM_FIELDS = ["catalogo_status", "catalogo_descricao", "catalogo_unidade", "catalogo_preco"];
+
+/**
+ * Confere cada item contra o catalogo: "ausente" (codigo nao existe), "divergente"
+ * (descricao diferente do texto do catalogo) ou "ok". Copia unidade e preco do catalogo.
+ * Sem catalogo, remove os campos `catalogo_*` de uma conferencia anterior.
+ * @param {import("./aggregate.js").KeyOptions} [options] as mesmas de `indexCatalog`
+ */
+export function applyCatalog(items, index, options = {}) {
+  if (!index?.size) {
+    return items.map((it) => {
+      const next = { ...it };
+      CATALOG_ITEM_FIELDS.forEach((k) => delete next[k]);
+      return next;
+    });
+  }
+
+  return items.map((it) => {
+    const ref = index.get(catalogCodeKey(it.codigo, options));
+    if (!ref) {
+      return { ...it, catalogo_status: "ausente", catalogo_descricao: "", catalogo_unidade: "", catalogo_preco: NaN };
+    }
+    const similar = !it.descricao || !ref.descricao || textSimilarity(it.descricao, ref.descricao) >= CATALOG_DESC_MIN_SIMILARITY;
+    return {
+      ...it,
+      catalogo_status: similar ? "ok" : "divergente",
+      catalogo_descricao: ref.descricao,
+      catalogo_unidade: ref.unidade,
+      catalogo_preco: ref.preco ?? NaN,
+    };
+  });
+}
+
+export function catalogStatusLabel(status) {
+  if (status === "ausente") return "AUSENTE";
+  if (status === "divergente") return "DESCRICAO DIVERGENTE";
+  return status ? "OK" : "";
+}
@@ -0,0 +1,136 @@
+/**
+ * Comparativo entre duas versoes do mesmo orcamento: itens incluidos, removidos e alterados,
+ * casados pela mesma chave da soma (`aggregationKey`).
+ */
+
+import { foldText, normalizeCode, parseQuantity } from "./extract.js";
+import { aggregationKey } from "./aggregate.js";
+
+/**
+ * Item agrupado de uma versao. `qtd_pendentes` conta as quantidades nao lidas (fora da soma).
+ * @typedef {{ key: string; codigo: string; descricao: string; unidade: string; quantidade: number; qtd_pendentes: number; origens: string[] }} DiffGroup
+ * @typedef {{ codigo: string; descricao: string; unidade: string; antes: number; depois: number; delta: number; pct: number | null }} QtyChange
+ * @typedef {QtyChange & { pend_antes: number; pend_depois: number }} QtyPending
+ * @typedef {{ codigo: string; antes: string; depois: string; qtd_antes: number; qtd_depois: number }} DescChange
+ * @typedef {{ rule: string; added: DiffGroup[]; removed: DiffGroup[]; qtyChanged: QtyChange[]; qtyPending: QtyPending[]; descChanged: DescChange[] }} DiffReport
+ */
+
+/**
+ * Agrupa itens pela chave da regra, somando quantidades e guardando a primeira descricao
+ * e as origens (para mostrar onde o item esta em cada versao). Como em `aggregateItems`,
+ * quantidades nao lidas ficam fora da soma e sao contadas em `qtd_pendentes`.
+ */
+function groupForDiff(items, rule, keyOptions) {
+  const map = new Map();
+  items.forEach((it) => {
+    const key = aggregationKey(it, rule, keyOptions);
+    const q = Number.isFinite(it.quantidade) ? it.quantidade : parseQuantity(it.quantidade_raw).value;
+    const read = Number.isFinite(q);
+    let row = map.get(key);
+    if (!row) {
+      row = {
+        key,
+        codigo: it.codigo,
+        descricao: it.descricao,
+        unidade: it.unidade ?? "",
+        quantidade: 0,
+        qtd_pendentes: 0,
+        origens: [],
+      };
+      map.set(key, row);
+    }
+    if (read) row.quantidade += q;
+    else row.qtd_pendentes += 1;
+    row.origens.push(it.origem);
+    if (!row.descricao && it.descricao) row.descricao = it.descricao;
+  });
+  return map;
+}
+
+function qtyChange(antes, depois) {
+  const delta = depois - antes;
+  return { antes, depois, delta, pct: antes ? (delta / Math.abs(antes)) * 100 : null };
+}
+
+/**
+ * Diferencas entre duas versoes, casando itens pela mesma chave de `aggregateItems`.
+ * Com "Codigo + Descricao", um codigo que sumiu de um lado e apareceu do outro com
+ * outro texto e tratado como mudanca de descricao, nao como remocao + inclusao.
+ * Quando um dos lados tem quantidade nao lida, a soma nao e comparavel: o item vai para
+ * `qtyPending` em vez de `qtyChanged`.
+ * @param {Item[]} before
+ * @param {Item[]} after
+ * @param {string} rule
+ * @param {import("./aggregate.js").KeyOptions} [keyOptions]
+ * @returns {DiffReport}
+ */
+export function diffItems(before, after, rule, keyOptions = {}) {
+  const a = groupForDiff(before, rule, keyOptions);
+  const b = groupForDiff(after, rule, keyOptions);
+  const EPS = 1e-9;
+
+  const added = [];
+  const removed = [];
+  const qtyChanged = [];
+  const qtyPending = [];
+  const descChanged = [];
+
+  const compareQty = (x, y) => {
+    const row = { codigo: y.codigo, descricao: y.descricao, unidade: y.unidade, ...qtyChange(x.quantidade, y.quantidade) };
+    if (x.qtd_pendentes || y.qtd_pendentes) {
+      qtyPending.push({ ...row, pend_antes: x.qtd_pendentes, pend_depois: y.qtd_pendentes });
+    } else if (Math.abs(y.quantidade - x.quantidade) > EPS) {
+      qtyChanged.push(row);
+    }
+  };
+
+  a.forEach((x, key) => {
+    const y = b.get(key);
+    if (!y) {
+      removed.push(x);
+      return;
+    }
+    compareQty(x, y);
+    if (rule === "code_only" && foldText(x.descricao) !== foldText(y.descricao)) {
+      descChanged.push({ codigo: y.codigo, antes: x.descricao, depois: y.descricao, qtd_antes: x.quantidade, qtd_depois: y.quantidade });
+    }
+  });
+  b.forEach((y, key) => {
+    if (!a.has(key)) added.push(y);
+  });
+
+  if (rule === "code_desc") {
+    const byCode = (list) => {
+      const m = new Map();
+      list.forEach((x) => {
+        const k = normalizeCode(x.codigo, keyOptions.codeNormalize);
+        m.set(k, m.has(k) ? null : x);
+      });
+      return m;
+    };
+    const rem = byCode(removed);
+    const add = byCode(added);
+    rem.forEach((x, code) => {
+      const y = add.get(code);
+      if (!x || !y) return;
+      descChanged.push({ codigo: y.codigo, antes: x.descricao, depois: y.descricao, qtd_antes: x.quantidade, qtd_depois: y.quantidade });
+      compareQty(x, y);
+      removed.splice(removed.indexOf(x), 1);
+      added.splice(added.indexOf(y), 1);
+    });
+  }
+
+  const byCodeDesc = (x, y) =>
+    `${x.codigo} ${x.descricao ?? x.depois}`.localeCompare(`${y.codigo} ${y.descricao ?? y.depois}`, "pt-BR", {
+      numeric: true,
+    });
+
+  return {
+    rule,
+    added: added.sort(byCodeDesc),
+    removed: removed.sort(byCodeDesc),
+    qtyChanged: qtyChanged.sort(byCodeDesc),
+    qtyPending: qtyPending.sort(byCodeDesc),
+    descChanged: descChanged.sort(byCodeDesc),
+  };
+}
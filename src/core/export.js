@@ -0,0 +1,593 @@
+/**
+ * Saidas do extrator sem depender da tela: planilha (.xlsx), CSV, JSON e texto do log.
+ * As funcoes devolvem conteudo; gravar o arquivo fica com quem chama (navegador ou CLI).
+ */
+
+import * as XLSX from "xlsx";
+import JSZip from "jszip";
+import { IGNORE_REASONS, INPUT_FORMATS, describeDetection, describeMapping, fmtQty } from "./extract.js";
+import { catalogStatusLabel } from "./catalog.js";
+import { MATRIX_DIMENSIONS, describeConflicts, ruleLabel } from "./aggregate.js";
+
+/** Formatos numericos das planilhas; o Excel mostra com os separadores do pt-BR (1.234,56). */
+export const QTY_FMT = "#,##0.00##";
+export const MONEY_FMT = "#,##0.00";
+export const INT_FMT = "#,##0";
+
+export const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/** Nome de arquivo seguro a partir do nome da entrada, sem a extensao ("Orcamento_2024"). */
+export function safeBaseName(name) {
+  const base = String(name || "documento")
+    .replace(/\.(docx|docm|dotx|dotm|odt|fodt|html?)$/i, "")
+    .replace(/[^a-zA-Z0-9\-_. ]+/g, "_")
+    .trim();
+  return base || "documento";
+}
+
+function formatLabel(v) {
+  return INPUT_FORMATS.find((f) => f.v === v)?.label ?? v;
+}
+
+/** Formatos de entrada lidos ("DOCX, ODT"): de `meta.files` no lote, senao de `meta.formato`. */
+function inputFormats(meta) {
+  const ids = meta?.files ? meta.files.filter((f) => f.ok).map((f) => f.formato) : [meta?.formato];
+  return [...new Set(ids.filter(Boolean))].map(formatLabel).join(", ");
+}
+
+/**
+ * Coluna de uma aba de tabela. `fmt` formata as celulas numericas; `sum` entra na linha TOTAL.
+ * @typedef {{ header: string; width: number; value: (row: any) => any; fmt?: string; sum?: boolean }} SheetColumn
+ */
+
+/**
+ * Acrescenta uma aba de tabela: cabecalho, numeros como numero (com formato), autofiltro
+ * e, com `totalRow`, uma linha TOTAL com SUM nas colunas marcadas.
+ * @param {SheetColumn[]} columns
+ * @param {any[]} list
+ * @param {{ totalRow?: boolean; autofilter?: boolean }} [options]
+ */
+export function appendTableSheet(wb, name, columns, list, options = {}) {
+  const { encode_cell, encode_col, encode_range } = XLSX.utils;
+  const ws = XLSX.utils.aoa_to_sheet([
+    columns.map((c) => c.header),
+    ...list.map((row) => columns.map((c) => c.value(row) ?? "")),
+  ]);
+  const lastRow = list.length;
+  const lastCol = columns.length - 1;
+
+  columns.forEach((c, ci) => {
+    if (!c.fmt) return;
+    for (let r = 1; r <= lastRow; r++) {
+      const cell = ws[encode_cell({ r, c: ci })];
+      if (cell?.t === "n") cell.z = c.fmt;
+    }
+  });
+
+  if (options.totalRow && list.length) {
+    const r = lastRow + 1;
+    ws[encode_cell({ r, c: 0 })] = { t: "s", v: "TOTAL" };
+    columns.forEach((c, ci) => {
+      if (!c.sum) return;
+      const col = encode_col(ci);
+      ws[encode_cell({ r, c: ci })] = { t: "n", f: `SUM(${col}2:${col}${lastRow + 1})`, z: c.fmt };
+    });
+    ws["!ref"] = encode_range({ s: { r: 0, c: 0 }, e: { r, c: lastCol } });
+  }
+
+  if (options.autofilter !== false) {
+    ws["!autofilter"] = { ref: encode_range({ s: { r: 0, c: 0 }, e: { r: lastRow, c: lastCol } }) };
+  }
+  ws["!cols"] = columns.map((c) => ({ wch: c.width }));
+  XLSX.utils.book_append_sheet(wb, ws, name);
+}
+
+/**
+ * A versao livre do SheetJS nao grava painel congelado: injeta o congelamento da
+ * 1a linha (cabecalho) em todas as abas do arquivo gerado.
+ */
+async function freezeHeaderRows(data) {
+  const zip = await JSZip.loadAsync(data);
+  const sheets = Object.keys(zip.files).filter((n) => /^xl\/worksheets\/sheet\d+\.xml$/.test(n));
+  for (const n of sheets) {
+    const xml = await zip.file(n).async("string");
+    zip.file(
+      n,
+      xml.replace(
+        /<sheetView([^>]*?)\/>/,
+        '<sheetView$1><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView>'
+      )
+    );
+  }
+  return zip.generateAsync({ type: "uint8array", compression: "DEFLATE" });
+}
+
+/** Bytes do .xlsx pronto (com cabecalho congelado). */
+export async function workbookBytes(wb) {
+  return freezeHeaderRows(XLSX.write(wb, { bookType: "xlsx", type: "array" }));
+}
+
+/**
+ * Colunas das abas de itens (Itens e Consolidado). Unidade, aviso de quantidade, preco, total,
+ * catalogo, secao, origem, linhas somadas e conflitos so aparecem quando algum item tem o dado.
+ * @param {Item[]} items
+ * @returns {SheetColumn[]}
+ */
+export function itemColumns(items) {
+  const numOr = (n, raw) => (Number.isFinite(n) ? n : raw ?? "");
+  const has = (fn) => items.some(fn);
+
+  return [
+    has((it) => it.secao) && { header: "Secao", width: 28, value: (it) => it.secao },
+    { header: "Codigo", width: 16, value: (it) => it.codigo },
+    { header: "Descricao", width: 56, value: (it) => it.descricao },
+    has((it) => it.unidade) && { header: "Unidade", width: 8, value: (it) => it.unidade },
+    {
+      header: "Quantidade",
+      width: 14,
+      value: (it) => numOr(it.quantidade, it.quantidade_raw),
+      fmt: QTY_FMT,
+      sum: true,
+    },
+    has((it) => it.quantidade_aviso) && { header: "Aviso quantidade", width: 40, value: (it) => it.quantidade_aviso },
+    has((it) => it.preco_unit_raw) && {
+      header: "Preco Unit.",
+      width: 14,
+      value: (it) => numOr(it.preco_unit, it.preco_unit_raw),
+      fmt: MONEY_FMT,
+    },
+    has((it) => it.total_raw || Number.isFinite(it.total)) && {
+      header: "Total",
+      width: 16,
+      value: (it) => numOr(it.total, it.total_raw),
+      fmt: MONEY_FMT,
+      sum: true,
+    },
+    ...(has((it) => Number.isFinite(it.total_calc))
+      ? [
+          { header: "Total calculado", width: 16, value: (it) => numOr(it.total_calc, ""), fmt: MONEY_FMT, sum: true },
+          { header: "Divergencia", width: 12, value: (it) => (it.total_diverge ? "SIM" : "") },
+        ]
+      : []),
+    ...(has((it) => it.catalogo_status)
+      ? [
+          { header: "Catalogo", width: 22, value: (it) => catalogStatusLabel(it.catalogo_status) },
+          { header: "Descricao (catalogo)", width: 56, value: (it) => it.catalogo_descricao },
+          { header: "Unid. (catalogo)", width: 10, value: (it) => it.catalogo_unidade },
+          { header: "Preco (catalogo)", width: 14, value: (it) => numOr(it.catalogo_preco, ""), fmt: MONEY_FMT },
+        ]
+      : []),
+    ...(has((it) => it.origem)
+      ? [
+          { header: "Arquivo", width: 32, value: (it) => it.arquivo },
+          { header: "Origem", width: 14, value: (it) => it.origem },
+        ]
+      : []),
+    ...(has((it) => it.linhas)
+      ? [
+          { header: "Linhas somadas", width: 10, value: (it) => it.linhas, fmt: INT_FMT },
+          { header: "Origens", width: 48, value: (it) => (it.origens ?? []).join("; ") },
+        ]
+      : []),
+    has((it) => it.conflitos?.length) && {
+      header: "Conflito",
+      width: 48,
+      value: (it) => describeConflicts(it.conflitos),
+    },
+  ].filter(Boolean);
+}
+
+/** Aba "Matriz": codigos nas linhas, tabelas/secoes/arquivos nas colunas e o total. */
+export function appendMatrixSheet(wb, matrix) {
+  const withPending = matrix.rows.some((r) => r.qtd_pendentes);
+  appendTableSheet(
+    wb,
+    "Matriz",
+    [
+      { header: "Codigo", width: 16, value: (r) => r.codigo },
+      { header: "Descricao", width: 48, value: (r) => r.descricao },
+      { header: "Unidade", width: 8, value: (r) => r.unidade },
+      ...matrix.columns.map((col) => ({
+        header: col,
+        width: Math.min(28, Math.max(10, col.length + 2)),
+        value: (r) => r.celulas[col] ?? "",
+        fmt: QTY_FMT,
+        sum: true,
+      })),
+      { header: "Total", width: 14, value: (r) => r.total, fmt: QTY_FMT, sum: true },
+      withPending && { header: "Qtd. nao lidas", width: 12, value: (r) => r.qtd_pendentes || "", fmt: INT_FMT },
+    ].filter(Boolean),
+    matrix.rows,
+    { totalRow: true }
+  );
+}
+
+/** Conflitos do consolidado: uma linha por campo divergente, com todas as variantes. */
+function conflictRows(aggregated) {
+  return (aggregated ?? []).flatMap((x) => (x.conflitos ?? []).map((c) => ({ ...c, row: x })));
+}
+
+/** Aba "Conflitos": chaves do consolidado cujos itens discordam na descricao ou na unidade. */
+function appendConflictSheet(wb, aggregated) {
+  const rows = conflictRows(aggregated);
+  appendTableSheet(
+    wb,
+    "Conflitos",
+    [
+      rows.some((c) => c.row.secao !== undefined) && { header: "Secao", width: 24, value: (c) => c.row.secao },
+      { header: "Codigo", width: 16, value: (c) => c.row.codigo },
+      { header: "Descricao", width: 48, value: (c) => c.row.descricao },
+      { header: "Campo", width: 12, value: (c) => c.campo },
+      { header: "Variantes", width: 64, value: (c) => c.valores.join(" | ") },
+      { header: "Linhas somadas", width: 10, value: (c) => c.row.linhas, fmt: INT_FMT },
+      { header: "Origens", width: 48, value: (c) => (c.row.origens ?? []).join("; ") },
+    ].filter(Boolean),
+    rows
+  );
+}
+
+/** Linhas de log dos conflitos do consolidado (vazio quando nao ha). */
+export function conflictLogLines(aggregated) {
+  const rows = conflictRows(aggregated);
+  if (!rows.length) return [];
+  return [
+    "--- Conflitos na consolidacao ---",
+    ...rows.map(
+      (c) =>
+        `- ${c.row.secao ? `[${c.row.secao}] ` : ""}${c.row.codigo || c.row.descricao} | ${c.campo}: ${c.valores.join(
+          " | "
+        )} | origens: ${(c.row.origens ?? []).join(", ")}`
+    ),
+    "",
+  ];
+}
+
+/** Aba "Ignorados": uma linha por linha descartada, com as celulas originais lado a lado. */
+function appendIgnoredSheet(wb, ignored) {
+  const width = ignored.reduce((w, d) => Math.max(w, d.celulas.length), 0);
+  const withPart = ignored.some((d) => d.parte);
+
+  appendTableSheet(
+    wb,
+    "Ignorados",
+    [
+      { header: "Arquivo", width: 32, value: (d) => d.arquivo },
+      withPart && { header: "Parte", width: 14, value: (d) => d.parte },
+      { header: "Tabela", width: 8, value: (d) => d.tabela },
+      { header: "Linha", width: 8, value: (d) => d.linha },
+      { header: "Secao", width: 24, value: (d) => d.secao },
+      { header: "Motivo", width: 22, value: (d) => d.motivo },
+      { header: "Descricao do motivo", width: 26, value: (d) => IGNORE_REASONS[d.motivo] ?? "" },
+      { header: "Valor", width: 16, value: (d) => d.valor },
+      ...Array.from({ length: width }, (_, c) => ({ header: `Celula ${c + 1}`, width: 24, value: (d) => d.celulas[c] })),
+    ].filter(Boolean),
+    ignored
+  );
+}
+
+/**
+ * Linhas da aba "Resumo" (campo, valor): arquivos, data, perfil, deteccao, regra de consolidacao, matriz
+ * e metricas.
+ * @returns {[string, string | number][]}
+ */
+export function buildSummaryRows({ fileName, meta, detection, profile, aggRule, bySection, aggregated, matrix, catalog }) {
+  const files = meta?.files ?? [];
+  const matrixLabel = matrix && (MATRIX_DIMENSIONS.find((d) => d.v === matrix.dimension)?.label ?? matrix.dimension);
+  return [
+    ["Arquivo", fileName || "(nenhum)"],
+    ...(inputFormats(meta) ? [["Formato de entrada", inputFormats(meta)]] : []),
+    ["Data", new Date().toLocaleString("pt-BR")],
+    ...(profile ? [["Perfil", profile]] : []),
+    ...(detection ? [["Deteccao", describeDetection(detection)]] : []),
+    ["Regra de consolidacao", `${ruleLabel(aggRule)}${bySection ? " | por secao" : ""}`],
+    ["Tabelas no documento", meta?.tables_total ?? 0],
+    ["Tabelas de itens", meta?.itens_tables ?? 0],
+    ["Linhas extraidas", meta?.rows_extracted ?? 0],
+    ["Linhas ignoradas", meta?.rows_ignored ?? 0],
+    ["Totais divergentes", meta?.totals_divergent ?? 0],
+    ["Quantidades a conferir", meta?.qty_warnings ?? 0],
+    ...(aggregated
+      ? [
+          ["Itens consolidados", aggregated.length],
+          ["Conflitos na consolidacao", aggregated.filter((x) => x.conflitos?.length).length],
+        ]
+      : []),
+    ...(matrix
+      ? [["Matriz (colunas por)", `${matrixLabel} | ${matrix.columns.length} colunas | ${matrix.rows.length} linhas`]]
+      : []),
+    ...(catalog ? [["Catalogo de referencia", `${catalog.name} (${catalog.entries.length} codigos)`]] : []),
+    ...(files.length > 1
+      ? files.map((f) => [
+          `Arquivo: ${f.name}`,
+          f.ok ? `${f.formato ? `${formatLabel(f.formato)} | ` : ""}${f.itens_tables} tabela(s) de itens | ${f.rows_extracted} extraidas | ${f.rows_ignored} ignoradas` : `ERRO: ${f.error}`,
+        ])
+      : []),
+  ];
+}
+
+/**
+ * Pasta de trabalho completa: Itens (bruto, com origem), Consolidado, Matriz, Conflitos, Ignorados
+ * e Resumo. Abas sem dados sao omitidas; Itens, Consolidado e Matriz terminam com linha TOTAL.
+ * @param {{ items?: Item[]; aggregated?: Item[]; matrix?: import("./aggregate.js").Matrix; ignored?: IgnoredRow[]; summary?: [string, string | number][] }} data
+ */
+export function buildWorkbook(data) {
+  const wb = XLSX.utils.book_new();
+  if (data.items?.length) appendTableSheet(wb, "Itens", itemColumns(data.items), data.items, { totalRow: true });
+  if (data.aggregated?.length) {
+    appendTableSheet(wb, "Consolidado", itemColumns(data.aggregated), data.aggregated, { totalRow: true });
+  }
+  if (data.matrix?.rows.length) appendMatrixSheet(wb, data.matrix);
+  if (data.aggregated?.some((x) => x.conflitos?.length)) appendConflictSheet(wb, data.aggregated);
+  if (data.ignored?.length) appendIgnoredSheet(wb, data.ignored);
+  if (data.summary) {
+    appendTableSheet(
+      wb,
+      "Resumo",
+      [
+        { header: "Campo", width: 32, value: (r) => r[0] },
+        { header: "Valor", width: 80, value: (r) => r[1], fmt: INT_FMT },
+      ],
+      data.summary,
+      { autofilter: false }
+    );
+  }
+  return wb;
+}
+
+/**
+ * Planilha do comparativo: uma aba por tipo de mudanca (com cabecalho mesmo se vazia).
+ * @param {import("./compare.js").DiffReport} report
+ */
+export function buildDiffWorkbook(report) {
+  const wb = XLSX.utils.book_new();
+  const itemCols = [
+    { header: "Codigo", width: 16, value: (x) => x.codigo },
+    { header: "Descricao", width: 56, value: (x) => x.descricao },
+    { header: "Unidade", width: 8, value: (x) => x.unidade },
+    { header: "Quantidade", width: 14, value: (x) => x.quantidade, fmt: QTY_FMT },
+    { header: "Qtd nao lidas", width: 12, value: (x) => x.qtd_pendentes || "" },
+    { header: "Origem", width: 24, value: (x) => x.origens.join(", ") },
+  ];
+
+  appendTableSheet(wb, "Adicionados", itemCols, report.added);
+  appendTableSheet(wb, "Removidos", itemCols, report.removed);
+  appendTableSheet(
+    wb,
+    "Quantidade alterada",
+    [
+      { header: "Codigo", width: 16, value: (x) => x.codigo },
+      { header: "Descricao", width: 56, value: (x) => x.descricao },
+      { header: "Unidade", width: 8, value: (x) => x.unidade },
+      { header: "Qtd antes", width: 14, value: (x) => x.antes, fmt: QTY_FMT },
+      { header: "Qtd depois", width: 14, value: (x) => x.depois, fmt: QTY_FMT },
+      { header: "Diferenca", width: 14, value: (x) => x.delta, fmt: QTY_FMT },
+      { header: "Diferenca %", width: 12, value: (x) => (x.pct === null ? "" : x.pct / 100), fmt: "0.00%" },
+    ],
+    report.qtyChanged
+  );
+  appendTableSheet(
+    wb,
+    "Quantidade nao lida",
+    [
+      { header: "Codigo", width: 16, value: (x) => x.codigo },
+      { header: "Descricao", width: 56, value: (x) => x.descricao },
+      { header: "Unidade", width: 8, value: (x) => x.unidade },
+      { header: "Qtd antes (lida)", width: 16, value: (x) => x.antes, fmt: QTY_FMT },
+      { header: "Nao lidas antes", width: 14, value: (x) => x.pend_antes },
+      { header: "Qtd depois (lida)", width: 16, value: (x) => x.depois, fmt: QTY_FMT },
+      { header: "Nao lidas depois", width: 14, value: (x) => x.pend_depois },
+    ],
+    report.qtyPending
+  );
+  appendTableSheet(
+    wb,
+    "Descricao alterada",
+    [
+      { header: "Codigo", width: 16, value: (x) => x.codigo },
+      { header: "Descricao antes", width: 48, value: (x) => x.antes },
+      { header: "Descricao depois", width: 48, value: (x) => x.depois },
+      { header: "Qtd antes", width: 14, value: (x) => x.qtd_antes, fmt: QTY_FMT },
+      { header: "Qtd depois", width: 14, value: (x) => x.qtd_depois, fmt: QTY_FMT },
+    ],
+    report.descChanged
+  );
+
+  return wb;
+}
+
+/**
+ * Formatos de texto delimitado. "ptbr" e o que o Excel em portugues abre direto
+ * (";" e virgula decimal, com BOM para o UTF-8 ser reconhecido).
+ */
+export const CSV_FORMATS = {
+  ptbr: { sep: ";", decimal: ",", bom: true },
+  padrao: { sep: ",", decimal: ".", bom: false },
+  tsv: { sep: "\t", decimal: ",", bom: false },
+};
+
+/** Tabela de itens em texto delimitado, com as mesmas colunas da aba Itens (sem a linha TOTAL). */
+export function buildDelimited(items, format) {
+  const { sep, decimal } = CSV_FORMATS[format];
+  const columns = itemColumns(items);
+  const cell = (v) => {
+    const text = typeof v === "number" ? String(v).replace(".", decimal) : String(v ?? "");
+    if (sep === "\t") return text.replace(/[\t\r\n]+/g, " ");
+    return /["\r\n]/.test(text) || text.includes(sep) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.map((c) => c.header), ...items.map((it) => columns.map((c) => c.value(it)))]
+    .map((row) => row.map(cell).join(sep))
+    .join("\r\n");
+}
+
+/** Conteudo do arquivo .csv (com BOM no formato pt-BR). */
+export function csvText(items, format) {
+  return `${CSV_FORMATS[format].bom ? "\uFEFF" : ""}${buildDelimited(items, format)}`;
+}
+
+/** JSON para scripts: metricas (`meta`, com as linhas ignoradas) e itens com `origem`. */
+export function jsonText({ items, meta, fileName, detection }) {
+  const payload = {
+    arquivo: fileName,
+    gerado_em: new Date().toISOString(),
+    deteccao: detection ?? null,
+    meta,
+    itens: items.map((it) => {
+      const out = { ...it };
+      delete out.id;
+      return out;
+    }),
+  };
+  return JSON.stringify(payload, null, 2);
+}
+
+/** Uma linha ignorada em texto: "arquivo T3 L7: skip_code_invalid 17.4a | celulas: ...". */
+export function formatIgnoredRow(d, withFile) {
+  const cells = d.celulas.length ? ` | celulas: ${d.celulas.map((c) => c || "-").join(" | ")}` : "";
+  return `${withFile ? `${d.arquivo} ` : ""}${d.parte ? `${d.parte}:` : ""}T${d.tabela} L${d.linha}: ${d.motivo}${d.valor ? ` ${d.valor}` : ""}${cells}`;
+}
+
+/** Codigos distintos listados por padrao no log; o resto vira "... e mais N". */
+const LOG_CODES_PER_PATTERN = 50;
+
+/** Padrao que cada codigo casou (itens editados ou incluidos a mao podem ficar sem padrao). */
+function codePatternLines(items) {
+  const byPattern = new Map();
+  items.forEach((it) => {
+    const label = it.codigo_padrao || "(nenhum padrao)";
+    if (!byPattern.has(label)) byPattern.set(label, new Set());
+    byPattern.get(label).add(it.codigo);
+  });
+  if (!byPattern.size) return [];
+  return [
+    "--- Padroes de codigo ---",
+    ...Array.from(byPattern, ([label, codes]) => {
+      const list = Array.from(codes);
+      const more = list.length - LOG_CODES_PER_PATTERN;
+      return `- ${label} (${list.length}): ${list.slice(0, LOG_CODES_PER_PATTERN).join(", ")}${
+        more > 0 ? ` ... e mais ${more}` : ""
+      }`;
+    }),
+    "",
+  ];
+}
+
+export function buildLogText({ fileName, statusLines, meta, items, aggregated, detection, profile, catalog }) {
+  const now = new Date();
+  const files = meta?.files ?? [];
+  const header = [
+    "TM Sempre Tecnologia - Extrator de Itens DOCX",
+    `Data: ${now.toLocaleString("pt-BR")}`,
+    `Arquivo: ${fileName || "(nenhum)"}`,
+    inputFormats(meta) ? `Formato: ${inputFormats(meta)}` : "",
+    `Perfil: ${profile || "(nenhum)"}`,
+    detection ? `Deteccao: ${describeDetection(detection)}` : "",
+    ...(detection?.mode === "manual" ? detection.selected.map((k) => `  - ${k}`) : []),
+    "",
+    "--- Status ---",
+    ...statusLines.map((s) => `- ${s}`),
+    files.length > 1 ? "--- Arquivos ---" : "",
+    ...(files.length > 1
+      ? files.map((f) =>
+          f.ok
+            ? `- ${f.name}: OK (${f.formato ? `${formatLabel(f.formato)}, ` : ""}${f.rows_extracted} extraidas, ${f.rows_ignored} ignoradas, ${f.itens_tables} tabelas alvo)`
+            : `- ${f.name}: ERRO - ${f.error}`
+        )
+      : []),
+    "",
+    "--- Metricas ---",
+    `Tabelas totais no documento: ${meta?.tables_total ?? 0}`,
+    `Tabelas identificadas (alvo): ${meta?.itens_tables ?? 0}`,
+    `Linhas extraidas (total): ${meta?.rows_extracted ?? 0}`,
+    `Linhas ignoradas: ${meta?.rows_ignored ?? 0}`,
+    meta?.totals_divergent ? `Totais divergentes (qtd x preco unit. != total): ${meta.totals_divergent}` : "",
+    meta?.qty_warnings ? `Quantidades a conferir (fora da soma): ${meta.qty_warnings}` : "",
+    aggregated ? `Itens unicos (somados): ${aggregated.length}` : "",
+    "",
+  ].filter(Boolean);
+
+  const ignored = meta?.ignored_details ?? [];
+  const ignoredBlock = ignored.length
+    ? [
+        "--- Detalhes ignorados ---",
+        ...ignored.map((d) => `- ${formatIgnoredRow(d, files.length > 1)}`),
+        "",
+      ]
+    : [];
+
+  const mappings = meta?.mappings ?? [];
+  const mappingBlock = mappings.length
+    ? [
+        "--- Mapeamento de colunas ---",
+        ...mappings.map((t) => `- ${t.key}: ${describeMapping(t.mapping)}`),
+        "",
+      ]
+    : [];
+
+  const sample = (items ?? []).slice(0, 20).map(
+    (it, i) =>
+      `${String(i + 1).padStart(2, "0")}. ${it.codigo} | ${it.descricao} | qtd=${it.quantidade_raw}${
+        it.unidade ? ` ${it.unidade}` : ""
+      }${it.preco_unit_raw ? ` | pu=${it.preco_unit_raw}` : ""}${it.total_raw ? ` | total=${it.total_raw}` : ""}${
+        files.length > 1 ? ` | ${it.arquivo}` : ""
+      }${it.secao ? ` | secao=${it.secao}` : ""}`
+  );
+
+  const divergent = (items ?? []).filter((it) => it.total_diverge);
+  const divergentBlock = divergent.length
+    ? [
+        "--- Totais divergentes ---",
+        ...divergent.map(
+          (it) =>
+            `- ${it.arquivo ? `${it.arquivo} ` : ""}${it.origem} ${it.codigo}: documento=${it.total_raw} | calculado=${fmtQty(
+              it.total_calc
+            )}`
+        ),
+        "",
+      ]
+    : [];
+
+  const patternBlock = codePatternLines(items ?? []);
+
+  const unread = (items ?? []).filter((it) => it.quantidade_aviso);
+  const unreadBlock = unread.length
+    ? [
+        "--- Quantidades a conferir ---",
+        ...unread.map(
+          (it) => `- ${it.arquivo ? `${it.arquivo} ` : ""}${it.origem} ${it.codigo}: ${it.quantidade_aviso}`
+        ),
+        "",
+      ]
+    : [];
+
+  const missing = (items ?? []).filter((it) => it.catalogo_status === "ausente");
+  const descDiff = (items ?? []).filter((it) => it.catalogo_status === "divergente");
+  const catalogBlock = catalog
+    ? [
+        "--- Catalogo de referencia ---",
+        `Catalogo: ${catalog.name} (${catalog.entries.length} codigos, importado em ${new Date(
+          catalog.importedAt
+        ).toLocaleString("pt-BR")})`,
+        `Fora do catalogo: ${missing.length}`,
+        ...missing.map((it) => `- ${it.arquivo ? `${it.arquivo} ` : ""}${it.origem} ${it.codigo}: ausente`),
+        `Descricao divergente: ${descDiff.length}`,
+        ...descDiff.map(
+          (it) =>
+            `- ${it.arquivo ? `${it.arquivo} ` : ""}${it.origem} ${it.codigo}: "${it.descricao}" x catalogo "${it.catalogo_descricao}"`
+        ),
+        "",
+      ]
+    : [];
+
+  return [
+    ...header,
+    ...mappingBlock,
+    ...patternBlock,
+    ...ignoredBlock,
+    ...divergentBlock,
+    ...unreadBlock,
+    ...conflictLogLines(aggregated),
+    ...catalogBlock,
+    "--- Saida (amostra) ---",
+    ...sample,
+  ].join("\n");
+}
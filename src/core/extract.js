@@ -0,0 +1,1631 @@
+/**
+ * Nucleo da extracao: le o DOCX (ou ODT/HTML, pelos adaptadores de entrada) e devolve itens,
+ * linhas ignoradas e metricas.
+ * Sem React e sem DOM do navegador, para rodar no worker (e fora do navegador).
+ */
+
+import JSZip from "jszip";
+import { DOMParser, ParseError, onErrorStopParsing } from "@xmldom/xmldom";
+
+/**
+ * Erro de leitura com codigo estavel, para o worker devolver de forma estruturada.
+ * Codigos: "zip_invalido", "sem_document_xml", "xml_invalido", "config_invalida", "sem_tabela".
+ * `part`, `line` e `column` localizam erros de XML.
+ */
+export class DocxError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "DocxError";
+    this.code = code;
+    this.part = details.part ?? "";
+    this.line = details.line ?? null;
+    this.column = details.column ?? null;
+    this.detail = details.detail ?? "";
+  }
+}
+
+/**
+ * Erro como objeto simples (pode atravessar postMessage).
+ * @returns {{ code: string; message: string; part: string; line: number | null; column: number | null; detail: string }}
+ */
+export function errorInfo(err) {
+  if (err instanceof DocxError) {
+    const { code, message, part, line, column, detail } = err;
+    return { code, message, part, line, column, detail };
+  }
+  return { code: "erro", message: String(err?.message ?? err), part: "", line: null, column: null, detail: "" };
+}
+
+/** Mensagem de uma linha para status e log: "Falha ao interpretar ... (linha 3, coluna 17)". */
+export function describeError(info) {
+  if (!info || typeof info === "string") return info || "";
+  return `${info.message}${info.line ? ` (linha ${info.line}, coluna ${info.column})` : ""}`;
+}
+
+/**
+ * @typedef {{ stage: "unzip" | "parse" | "tables"; current: number; total: number; part?: string }} ExtractProgress
+ */
+
+export const CODE_RE = /^\s*\d+(?:\.\d+)?\s*$/;
+
+/**
+ * Padroes prontos para o codigo do item (bases de orcamento comuns). O primeiro que casar da
+ * nome ao codigo no log; "Letra + numero" fica por ultimo por ser o mais generico.
+ */
+export const CODE_PRESETS = [
+  { id: "numerico", label: "Numerico", example: "17.4, 13.12", re: CODE_RE },
+  { id: "hierarquico", label: "Hierarquico", example: "1.2.3, 02.01.005", re: /^\d+(?:\.\d+)+$/ },
+  { id: "sinapi", label: "SINAPI", example: "SINAPI-94965", re: /^SINAPI[\s:-]*\d{4,7}$/i },
+  { id: "sicro", label: "SICRO", example: "SICRO 4011209", re: /^SICRO\d?[\s:-]*\d{5,7}$/i },
+  { id: "cpos", label: "CPOS/CDHU", example: "CPOS 12.01.010", re: /^(?:CPOS|CDHU)[\s:-]*\d{2}\.\d{2}\.\d{3}$/i },
+  { id: "orse", label: "ORSE", example: "ORSE 00123", re: /^ORSE[\s:-]*\d{3,6}$/i },
+  { id: "letra_numero", label: "Letra + numero", example: "C-1234, AB12", re: /^[A-Z]{1,4}[\s.-]?\d+(?:\.\d+)*$/i },
+];
+
+/**
+ * Campos reconhecidos pelo nome da coluna no cabecalho.
+ * Os padroes sao testados contra o texto sem acentos e em minusculas; o primeiro que casar vence.
+ */
+export const COLUMN_FIELDS = [
+  { field: "codigo", label: "Codigo", re: /^(cod(igo)?|cod\.? item|itens?|ref(erencia)?|n[o\u00ba]?\.? ?(do )?item)\.?$/ },
+  { field: "descricao", label: "Descricao", re: /^(descri|discrimina|especifica|servico)/ },
+  { field: "unidade", label: "Unidade", re: /^(un|und|unid|unidade|u\.? ?m)\.?$/ },
+  { field: "quantidade", label: "Quantidade", re: /^(qtd|qtde|qde|quant)/ },
+  { field: "preco_unit", label: "Preco unit.", re: /^((preco|valor|custo|vl|vr)\.? ?unit|p\.? ?u\.?$)/ },
+  { field: "total", label: "Total", re: /^((preco|valor|custo|vl|vr)\.? ?)?total/ },
+];
+
+/** Posicoes usadas quando a tabela nao tem cabecalho reconhecivel (comportamento original). */
+const POSITIONAL_COLUMNS = { codigo: 0, descricao: 1, quantidade: 2 };
+
+/**
+ * Indice (base 0) de cada campo na tabela; -1 quando a coluna nao existe.
+ * @typedef {{ codigo: number; descricao: number; unidade: number; quantidade: number; preco_unit: number; total: number; source: "cabecalho" | "padrao" | "manual"; headerRow: number; headers: string[]; ambiguous: string[] }} ColumnMapping
+ */
+
+/**
+ * Configuracao de deteccao das tabelas-alvo.
+ * - keywords: textos procurados nas celulas do cabecalho; "/.../" vira regex.
+ * - matchMode: "exact" (celula inteira) ou "contains" (parte da celula).
+ * - headerRows: quantas linhas iniciais da tabela sao examinadas.
+ * - mode: "auto" (por palavra-chave) ou "manual" (tabelas marcadas em `selected`).
+ * - sectionPattern: alem dos estilos de Titulo do Word, paragrafos que comecam com este texto
+ *   (ou casam com "/.../") viram secao dos itens das tabelas seguintes; vazio = so estilos.
+ * - revisions: "accept" le o texto com todas as alteracoes controladas aceitas (w:ins entra, w:del sai);
+ *   "original" le o texto antes das alteracoes (w:delText entra, w:ins sai).
+ * - headerFooter: tambem le as tabelas de cabecalhos e rodapes (word/header*.xml, word/footer*.xml; so DOCX).
+ * - textBoxes: le as tabelas dentro de caixas de texto (w:txbxContent).
+ * - codePresets: ids de CODE_PRESETS aceitos como codigo do item.
+ * - codePattern: regex(es) proprias do codigo, uma por linha ("/.../" ou so o corpo). Sem preset
+ *   marcado e sem regex vale CODE_RE (17.4, 13.12...).
+ * - codeNormalize: antes de somar, `zeros` tira zeros a esquerda de cada grupo ("02.01.005" = "2.1.5")
+ *   e `separators` iguala espaco, hifen, barra e ponto ("SINAPI-94965" = "SINAPI 94965").
+ * - descNormalize: antes de somar, a descricao pode ignorar `accents`, `punctuation` e `spaces`
+ *   (espacos repetidos e entre letra e numero: "fck25" = "fck 25").
+ * - ndAsEmpty: "#N/D" conta como celula vazia (linha ignorada); com false o texto segue como valor
+ *   e a quantidade aparece como nao numerica para conferencia.
+ * - columns: posicoes fixas (base 0) aplicadas a todas as tabelas sem escolha manual propria.
+ * @typedef {{ keywords: string[]; matchMode: "exact" | "contains"; headerRows: number; mode: "auto" | "manual"; selected: string[]; sectionPattern: string; revisions: "accept" | "original"; headerFooter: boolean; textBoxes: boolean; codePresets: string[]; codePattern: string; codeNormalize: { zeros: boolean; separators: boolean }; descNormalize: { accents: boolean; punctuation: boolean; spaces: boolean }; ndAsEmpty: boolean; columns: Partial<Record<string, number>> }} DetectionConfig
+ */
+
+/** @type {DetectionConfig} */
+export const DEFAULT_DETECTION = {
+  keywords: ["itens"],
+  matchMode: "exact",
+  headerRows: 1,
+  mode: "auto",
+  selected: [],
+  sectionPattern: "",
+  revisions: "accept",
+  headerFooter: false,
+  textBoxes: true,
+  codePresets: [],
+  codePattern: "",
+  codeNormalize: { zeros: false, separators: false },
+  descNormalize: { accents: false, punctuation: false, spaces: false },
+  ndAsEmpty: true,
+  columns: {},
+};
+
+/** Marcas de revisao cujo conteudo nao existe em cada modo de leitura. */
+const REVISION_SKIP = {
+  accept: new Set(["w:del", "w:moveFrom"]),
+  original: new Set(["w:ins", "w:moveTo"]),
+};
+
+/**
+ * `total` e o valor da coluna Total do documento; `total_calc` e quantidade x preco unitario.
+ * Linhas do consolidado trazem `linhas` e `origens` (linhas somadas) e `conflitos` (variantes
+ * de descricao ou unidade dentro da mesma chave).
+ * `codigo_padrao` e o nome do padrao de codigo que o codigo casou (preset ou regex propria).
+ * `quantidade_aviso` explica por que a quantidade ficou NaN (texto ambiguo ou nao numerico).
+ * Os campos `catalogo_*` so existem quando ha catalogo de referencia carregado.
+ * `id` identifica a linha na grade de edicao; `editado` marca linhas alteradas ou incluidas a mao.
+ * `secao` e o titulo mais proximo acima da tabela (ex.: "Bloco A - Terreo").
+ * @typedef {{ id?: number; editado?: boolean; codigo: string; codigo_padrao?: string; descricao: string; quantidade_raw: string; quantidade: number; quantidade_aviso?: string; unidade?: string; preco_unit_raw?: string; preco_unit?: number; total_raw?: string; total?: number; total_calc?: number; total_diverge?: boolean; catalogo_status?: "ok" | "ausente" | "divergente"; catalogo_descricao?: string; catalogo_unidade?: string; catalogo_preco?: number; origem?: string; arquivo?: string; secao?: string; linhas?: number; origens?: string[]; conflitos?: { campo: string; valores: string[] }[] }} Item
+ */
+
+/**
+ * Linha ignorada com as celulas originais (texto da grade), para revisao e para poder
+ * ser corrigida e incluida no resultado. `tabela` e `linha` comecam em 1.
+ * `parte` e vazia para o corpo do documento ou diz de onde veio a tabela ("header1", "caixa"...).
+ * @typedef {{ arquivo: string; parte: string; tabela: number; linha: number; origem: string; motivo: string; valor: string; celulas: string[]; codigo: string; descricao: string; quantidade_raw: string; unidade: string; secao: string }} IgnoredRow
+ */
+
+/** Descricao legivel de cada codigo de motivo de linha ignorada. */
+export const IGNORE_REASONS = {
+  skip_empty_row: "Linha sem celulas",
+  skip_code_empty_or_ND: "Codigo vazio ou #N/D",
+  skip_code_invalid: "Codigo fora do padrao",
+  skip_qty_empty_or_ND: "Quantidade vazia ou #N/D",
+};
+
+/** Diferenca aceita entre o total do documento e o calculado: 1 centavo ou 0,1% do total. */
+const TOTAL_TOLERANCE_ABS = 0.01;
+const TOTAL_TOLERANCE_REL = 0.001;
+
+export function norm(s) {
+  return (s ?? "").replace(/\u00A0/g, " ").trim();
+}
+
+/** Texto comparavel: sem acentos, espacos unicos e em minusculas. */
+export function foldText(s) {
+  return norm(s)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/** Moeda antes do numero ("R$ 1.200,00", "US$ 5"). */
+const CURRENCY_RE = /^(?:R\$|US\$|U\$|\$|\u20AC|BRL|USD|EUR)\s*/i;
+/** Numero no inicio do texto; espaco so conta como separador de milhar antes de 3 digitos ("1 234,5"). */
+const NUMBER_RE = /^\d+(?:(?:[.,]|[ \u202F](?=\d{3}(?!\d)))\d+)*/;
+/** Unidade depois do numero: "m", "m2", "m3", "un", "kg", "m/h"... */
+const UNIT_RE = /^[\p{L}\u00B0][\p{L}\d\u00B2\u00B3\u00B0/.]{0,9}$/u;
+
+/**
+ * Resultado da leitura de um numero de celula. `value` e NaN quando o texto nao pode ser lido
+ * com seguranca; nesse caso `warning` diz o motivo. `unit` e a unidade escrita depois do numero.
+ * @typedef {{ value: number; unit: string; percent: boolean; warning: string }} ParsedQuantity
+ */
+
+/** Separadores de milhar validos: 1 a 3 digitos e depois grupos de exatamente 3. */
+function validGroups(groups) {
+  return groups[0].length >= 1 && groups[0].length <= 3 && groups.slice(1).every((g) => g.length === 3);
+}
+
+/** Le so os digitos e separadores; devolve NaN + aviso quando a notacao e inconsistente ou ambigua. */
+function parseDigits(num, assumePt) {
+  const dots = num.split(".").length - 1;
+  const commas = num.split(",").length - 1;
+
+  if (dots && commas) {
+    const dec = num.lastIndexOf(".") > num.lastIndexOf(",") ? "." : ",";
+    const thousands = dec === "." ? "," : ".";
+    const [intPart, frac, ...extra] = num.split(dec);
+    if (extra.length || !validGroups(intPart.split(thousands))) {
+      return { value: NaN, warning: `separadores inconsistentes em "${num}"` };
+    }
+    return { value: Number(`${intPart.split(thousands).join("")}.${frac}`), warning: "" };
+  }
+
+  const sep = dots ? "." : commas ? "," : "";
+  if (!sep) return { value: Number(num), warning: "" };
+
+  const parts = num.split(sep);
+  if (parts.length > 2) {
+    if (!validGroups(parts)) return { value: NaN, warning: `separadores inconsistentes em "${num}"` };
+    return { value: Number(parts.join("")), warning: "" };
+  }
+
+  const [intPart, frac] = parts;
+  // "1.500" e "1,500": milhar (1500) ou decimal (1,5)? Com zero a esquerda ("0,500") ou mais de
+  // 3 digitos antes do separador nao ha duvida.
+  if (frac.length === 3 && intPart.length <= 3 && intPart[0] !== "0") {
+    const asThousands = Number(intPart + frac);
+    const asDecimal = Number(`${intPart}.${frac}`);
+    if (assumePt) return { value: sep === "." ? asThousands : asDecimal, warning: "" };
+    return {
+      value: NaN,
+      warning: `"${num}" ambiguo: ${fmtQty(asThousands)} (milhar) ou ${fmtQty(asDecimal)} (decimal)`,
+    };
+  }
+  return { value: Number(`${intPart}.${frac}`), warning: "" };
+}
+
+/**
+ * Le quantidades e valores escritos em pt-BR ("1.234,5") ou en-US ("1,234.5"), com moeda antes
+ * ("R$ 1.200,00"), unidade depois ("12,5 m2"), negativo ("-3", "(3)", "3-") e percentual ("15%"
+ * vira 0,15). Um separador unico seguido de 3 digitos ("1.500") nao e adivinhado: volta NaN com
+ * aviso, a nao ser com `assumePt`, que le como no padrao brasileiro (ponto de milhar).
+ * @param {string} s
+ * @param {{ assumePt?: boolean }} [options]
+ * @returns {ParsedQuantity}
+ */
+export function parseQuantity(s, options = {}) {
+  let t = norm(s).replace(/\u2212/g, "-");
+  const fail = (warning) => ({ value: NaN, unit: "", percent: false, warning });
+  if (!t) return fail("vazio");
+
+  let negative = false;
+  const paren = t.match(/^\((.*)\)$/);
+  if (paren) {
+    negative = true;
+    t = paren[1].trim();
+  }
+  const sign = () => {
+    const m = t.match(/^([+-])\s*/);
+    if (!m) return;
+    negative = negative !== (m[1] === "-");
+    t = t.slice(m[0].length);
+  };
+  sign();
+  t = t.replace(CURRENCY_RE, "");
+  sign();
+  if (/\s*-$/.test(t)) {
+    negative = !negative;
+    t = t.replace(/\s*-$/, "");
+  }
+
+  const num = t.match(NUMBER_RE)?.[0];
+  if (!num) return fail(`sem numero em "${norm(s)}"`);
+
+  let rest = t.slice(num.length).trim();
+  const percent = rest.startsWith("%");
+  if (percent) rest = rest.slice(1).trim();
+  if (rest && (percent || !UNIT_RE.test(rest))) return fail(`texto alem do numero em "${norm(s)}"`);
+
+  const { value, warning } = parseDigits(num.replace(/[ \u202F]/g, ""), options.assumePt);
+  if (!Number.isFinite(value)) return { ...fail(warning), unit: rest };
+
+  const signed = negative ? -value : value;
+  return { value: percent ? signed / 100 : signed, unit: percent ? "%" : rest, percent, warning: "" };
+}
+
+/** Numero pt-BR de preco/total: como parseQuantity, lendo "1.500" como mil e quinhentos. */
+export function parsePtNumber(s) {
+  return parseQuantity(s, { assumePt: true }).value;
+}
+
+export function fmtInt(n) {
+  try {
+    return new Intl.NumberFormat("pt-BR").format(n);
+  } catch {
+    return String(n);
+  }
+}
+
+export function fmtQty(q) {
+  if (!Number.isFinite(q)) return "";
+  try {
+    return new Intl.NumberFormat("pt-BR", { maximumFractionDigits: 6 }).format(q);
+  } catch {
+    return String(q);
+  }
+}
+
+function isNd(text) {
+  return text.toUpperCase() === "#N/D";
+}
+
+/**
+ * Regex do codigo do item; vazio usa CODE_RE. Aceita "/corpo/flags" ou so o corpo.
+ * Lanca DocxError "config_invalida" se a expressao for invalida.
+ */
+export function compileCodePattern(pattern) {
+  const p = norm(pattern);
+  if (!p) return CODE_RE;
+  const rx = /^\/(.+)\/([a-z]*)$/.exec(p);
+  try {
+    return rx ? new RegExp(rx[1], rx[2]) : new RegExp(p);
+  } catch {
+    throw new DocxError("config_invalida", `Padrao de codigo invalido: ${p}`);
+  }
+}
+
+/** Linhas nao vazias de `codePattern` (uma regex por linha). */
+export function splitCodePatterns(pattern) {
+  return String(pattern ?? "")
+    .split(/\r?\n/)
+    .map(norm)
+    .filter(Boolean);
+}
+
+/**
+ * Padroes aceitos para o codigo: presets marcados e depois cada regex de `codePattern`.
+ * `match` devolve o nome do primeiro padrao que casar ("" = codigo fora do padrao); `test`
+ * permite usar o resultado no lugar de uma RegExp.
+ * Lanca DocxError "config_invalida" para preset desconhecido ou regex invalida.
+ * @param {Partial<DetectionConfig>} detection
+ * @returns {{ patterns: { label: string; re: RegExp }[]; match: (code: string) => string; test: (code: string) => boolean }}
+ */
+export function compileCodeMatcher(detection) {
+  const d = { ...DEFAULT_DETECTION, ...detection };
+  const patterns = [
+    ...(d.codePresets ?? []).map((id) => {
+      const preset = CODE_PRESETS.find((p) => p.id === id);
+      if (!preset) throw new DocxError("config_invalida", `Padrao de codigo desconhecido: ${id}`);
+      return preset;
+    }),
+    ...splitCodePatterns(d.codePattern).map((p) => ({ label: p, re: compileCodePattern(p) })),
+  ];
+  if (!patterns.length) patterns.push(CODE_PRESETS[0]);
+
+  const match = (code) => {
+    const c = norm(code);
+    return patterns.find(({ re }) => {
+      re.lastIndex = 0;
+      return re.test(c);
+    })?.label ?? "";
+  };
+  return { patterns, match, test: (code) => Boolean(match(code)) };
+}
+
+/** Codigo comparavel para somar itens, conforme `codeNormalize` da deteccao. */
+export function normalizeCode(code, options = {}) {
+  let c = norm(code).toLowerCase();
+  if (options.separators) c = c.replace(/[\s._/-]+/g, ".");
+  if (options.zeros) c = c.replace(/(^|\D)0+(?=\d)/g, "$1");
+  return c;
+}
+
+/** Descricao comparavel para somar itens, conforme `descNormalize` da deteccao. */
+export function normalizeDescription(desc, options = {}) {
+  let d = norm(desc).toLowerCase();
+  if (options.accents) d = d.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  if (options.punctuation) d = d.replace(/[^\p{L}\p{N}\s]+/gu, " ");
+  if (options.spaces) d = d.replace(/(\p{L})(?=\p{N})|(\p{N})(?=\p{L})/gu, "$1$2 ");
+  return options.punctuation || options.spaces ? d.replace(/\s+/g, " ").trim() : d;
+}
+
+/** Total calculado (quantidade x preco unitario) e divergencia contra o total do documento. */
+export function checkItemTotal(quantidade, precoUnit, total) {
+  const calc = Number.isFinite(quantidade) && Number.isFinite(precoUnit) ? quantidade * precoUnit : NaN;
+  const diverge =
+    Number.isFinite(calc) &&
+    Number.isFinite(total) &&
+    Math.abs(calc - total) > Math.max(TOTAL_TOLERANCE_ABS, Math.abs(total) * TOTAL_TOLERANCE_REL);
+  return { total_calc: calc, total_diverge: diverge };
+}
+
+/**
+ * Texto de um no (celula, paragrafo), sem descer em tabelas aninhadas.
+ * `revisions` decide o que fazer com alteracoes controladas (ver DetectionConfig);
+ * mc:Fallback e pulado porque repete o conteudo de mc:Choice.
+ */
+function xmlTextOf(node, revisions = "accept") {
+  const skip = REVISION_SKIP[revisions] ?? REVISION_SKIP.accept;
+  const withDeleted = revisions === "original";
+  let out = "";
+  const walk = (n) => {
+    for (let c = n.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType !== 1 || c.nodeName === "w:tbl" || c.nodeName === "mc:Fallback" || skip.has(c.nodeName)) continue;
+      if (c.nodeName === "w:t" || (withDeleted && c.nodeName === "w:delText")) out += c.textContent ?? "";
+      else walk(c);
+    }
+  };
+  walk(node);
+  return norm(out);
+}
+
+function firstChildElement(node, tag) {
+  if (!node) return null;
+  for (let c = node.firstChild; c; c = c.nextSibling) {
+    if (c.nodeType === 1 && c.nodeName === tag) return c;
+  }
+  return null;
+}
+
+/** Filhos diretos com a tag informada, atravessando content controls (w:sdt) e w:customXml. */
+function childElements(node, tag) {
+  const out = [];
+  if (!node) return out;
+  for (let c = node.firstChild; c; c = c.nextSibling) {
+    if (c.nodeType !== 1) continue;
+    if (c.nodeName === tag) out.push(c);
+    else if (c.nodeName === "w:sdt") out.push(...childElements(firstChildElement(c, "w:sdtContent"), tag));
+    else if (c.nodeName === "w:customXml") out.push(...childElements(c, tag));
+  }
+  return out;
+}
+
+/** Valor de `w:val` do filho `tag` de um elemento de propriedades (w:tcPr, w:trPr). */
+function propVal(pr, tag) {
+  const el = firstChildElement(pr, tag);
+  return el ? el.getAttribute("w:val") || "" : null;
+}
+
+/**
+ * Modelo em grade de uma tabela. Cada linha tem exatamente `width` posicoes, de modo que
+ * o indice de coluna e sempre o mesmo: w:gridBefore desloca a linha, w:gridSpan ocupa varias
+ * posicoes (texto na primeira, vazias nas demais) e w:vMerge de continuacao herda o texto
+ * da celula de cima. Tabelas aninhadas ficam fora (sao lidas como tabelas proprias).
+ * @returns {{ width: number; rows: { tr: Element; tcCount: number; cells: string[] }[] }}
+ */
+function readTableGrid(tbl, revisions = "accept") {
+  const skip = REVISION_SKIP[revisions] ?? REVISION_SKIP.accept;
+  const rows = [];
+  let width = childElements(firstChildElement(tbl, "w:tblGrid"), "w:gridCol").length;
+
+  childElements(tbl, "w:tr").forEach((tr) => {
+    const trPr = firstChildElement(tr, "w:trPr");
+    // Linha inteira inserida/excluida com controle de alteracoes.
+    if (Array.from(skip).some((tag) => firstChildElement(trPr, tag))) return;
+
+    let col = Number(propVal(trPr, "w:gridBefore")) || 0;
+    const prev = rows[rows.length - 1];
+    const cells = [];
+    const tcs = childElements(tr, "w:tc");
+
+    tcs.forEach((tc) => {
+      const tcPr = firstChildElement(tc, "w:tcPr");
+      const span = Math.max(1, Number(propVal(tcPr, "w:gridSpan")) || 1);
+      const vMerge = propVal(tcPr, "w:vMerge");
+      const continues = vMerge !== null && vMerge !== "restart";
+
+      cells[col] = continues && prev ? prev.cells[col] ?? "" : xmlTextOf(tc, revisions);
+      for (let k = 1; k < span; k++) cells[col + k] = "";
+      col += span;
+    });
+
+    width = Math.max(width, cells.length);
+    rows.push({ tr, tcCount: tcs.length, cells });
+  });
+
+  rows.forEach((r) => {
+    for (let c = 0; c < width; c++) r.cells[c] = r.cells[c] ?? "";
+  });
+
+  return { width, rows };
+}
+
+/**
+ * Quantidade da linha. Com cabecalho reconhecido (ou mapeamento manual) usa so a coluna mapeada;
+ * sem cabecalho mantem o fallback original de "primeiro numero da linha".
+ * @param {string[]} cellsText
+ * @param {ColumnMapping} [mapping]
+ * @param {boolean} [ndAsEmpty] "#N/D" na coluna conta como vazio (ver DetectionConfig)
+ */
+export function pickQuantityFromRow(cellsText, mapping, ndAsEmpty = true) {
+  const qi = mapping ? mapping.quantidade : POSITIONAL_COLUMNS.quantidade;
+  if (qi >= 0 && cellsText.length > qi) {
+    const q = norm(cellsText[qi]);
+    if (q && !(ndAsEmpty && isNd(q))) return q;
+  }
+  if (mapping && mapping.source !== "padrao") return "";
+
+  const joined = cellsText.join(" ");
+  const m = joined.match(/(\d{1,3}(?:\.\d{3})*,\d+|\d+,\d+|\d+)/);
+  return m?.[1] ?? "";
+}
+
+/**
+ * Converte a lista de palavras-chave em funcoes de teste de celula.
+ * Lanca erro se alguma expressao regular for invalida.
+ */
+export function compileKeywordMatchers(detection) {
+  const keywords = (detection?.keywords ?? []).map((k) => norm(k)).filter(Boolean);
+
+  return keywords.map((k) => {
+    const rx = /^\/(.+)\/([a-z]*)$/.exec(k);
+    if (rx) {
+      let re;
+      try {
+        re = new RegExp(rx[1], rx[2].includes("i") ? rx[2] : `${rx[2]}i`);
+      } catch {
+        throw new DocxError("config_invalida", `Expressao invalida na deteccao: ${k}`);
+      }
+      return (cell) => re.test(norm(cell)) || re.test(foldText(cell));
+    }
+
+    const fk = foldText(k);
+    if (detection?.matchMode === "contains") return (cell) => foldText(cell).includes(fk);
+    return (cell) => foldText(cell) === fk;
+  });
+}
+
+/**
+ * Indice da ultima linha (dentro das `headerRows` iniciais) com celula reconhecida, ou -1.
+ * A ultima vence para que titulo + cabecalho reconhecidos comecem os dados depois do cabecalho.
+ */
+function findHeaderRow(rowsTexts, matchers, headerRows) {
+  const limit = Math.min(rowsTexts.length, Math.max(1, headerRows || 1));
+  let found = -1;
+  for (let r = 0; r < limit; r++) {
+    if (rowsTexts[r].some((t) => matchers.some((m) => m(t)))) found = r;
+  }
+  return found;
+}
+
+/** @returns {ColumnMapping} */
+function positionalMapping() {
+  return {
+    codigo: POSITIONAL_COLUMNS.codigo,
+    descricao: POSITIONAL_COLUMNS.descricao,
+    unidade: -1,
+    quantidade: POSITIONAL_COLUMNS.quantidade,
+    preco_unit: -1,
+    total: -1,
+    source: "padrao",
+    headerRow: -1,
+    headers: [],
+    ambiguous: [],
+  };
+}
+
+/**
+ * Procura, entre `fromRow` e `toRow`, a linha com mais nomes de coluna reconhecidos (minimo 2)
+ * e monta o mapeamento a partir dela; no empate fica a primeira. Linhas com codigo numerico sao dados, nunca cabecalho. Sem linha valida, volta ao mapeamento posicional.
+ * @returns {ColumnMapping}
+ */
+function detectColumnMapping(rowsTexts, fromRow, toRow, codeRe = CODE_RE) {
+  let best = null;
+
+  for (let r = Math.max(0, fromRow); r <= toRow && r < rowsTexts.length; r++) {
+    if (rowsTexts[r].some((t) => codeRe.test(t))) continue;
+    const hits = {};
+    rowsTexts[r].forEach((t, c) => {
+      const ft = foldText(t);
+      const f = ft ? COLUMN_FIELDS.find((x) => x.re.test(ft)) : null;
+      if (f) (hits[f.field] ??= []).push(c);
+    });
+    const count = Object.keys(hits).length;
+    if (count >= 2 && (!best || count > best.count)) best = { row: r, hits, count };
+  }
+
+  if (!best) return positionalMapping();
+
+  /** @type {ColumnMapping} */
+  const mapping = {
+    ...positionalMapping(),
+    source: "cabecalho",
+    headerRow: best.row,
+    headers: rowsTexts[best.row].map((t) => norm(t)),
+  };
+
+  COLUMN_FIELDS.forEach(({ field, label }) => {
+    const cols = best.hits[field] ?? [];
+    mapping[field] = cols.length ? cols[0] : -1;
+    if (cols.length > 1) {
+      mapping.ambiguous.push(`${label} em ${cols.length} colunas (${cols.map((c) => `C${c + 1}`).join(", ")})`);
+    }
+  });
+
+  const used = new Set(COLUMN_FIELDS.map(({ field }) => mapping[field]).filter((c) => c >= 0));
+  Object.entries(POSITIONAL_COLUMNS).forEach(([field, col]) => {
+    if (mapping[field] >= 0) return;
+    const label = COLUMN_FIELDS.find((x) => x.field === field).label;
+    if (!used.has(col)) {
+      mapping[field] = col;
+      used.add(col);
+      mapping.ambiguous.push(`${label} nao encontrada no cabecalho (usando C${col + 1})`);
+    } else {
+      mapping.ambiguous.push(`${label} nao encontrada no cabecalho`);
+    }
+  });
+
+  return mapping;
+}
+
+/** Aplica a escolha manual de colunas sobre o mapeamento detectado. */
+function applyColumnOverride(mapping, override) {
+  if (!override) return mapping;
+  const next = { ...mapping, source: "manual", ambiguous: [] };
+  COLUMN_FIELDS.forEach(({ field }) => {
+    if (Number.isInteger(override[field])) next[field] = override[field];
+  });
+  return next;
+}
+
+export function describeMapping(mapping) {
+  const cols = COLUMN_FIELDS.filter(({ field }) => mapping[field] >= 0).map(({ field, label }) => {
+    const h = mapping.headers[mapping[field]];
+    return `${label}=C${mapping[field] + 1}${h ? ` "${h}"` : ""}`;
+  });
+  const origin =
+    mapping.source === "cabecalho"
+      ? `cabecalho L${mapping.headerRow + 1}`
+      : mapping.source === "manual"
+      ? "manual"
+      : "posicional";
+  return `${origin}: ${cols.join(" | ")}${mapping.ambiguous.length ? ` | AMBIGUO: ${mapping.ambiguous.join("; ")}` : ""}`;
+}
+
+function tableKey(fileName, tNumber, part = "") {
+  return `${fileName}#${part ? `${part}:` : ""}T${tNumber}`;
+}
+
+function describeFixedColumns(columns) {
+  const cols = COLUMN_FIELDS.filter(({ field }) => Number.isInteger(columns?.[field])).map(
+    ({ field, label }) => `${label}=C${columns[field] + 1}`
+  );
+  return cols.length ? ` | Colunas fixas: ${cols.join(", ")}` : "";
+}
+
+function describeCodePatterns(d) {
+  const presets = (d.codePresets ?? []).map((id) => CODE_PRESETS.find((p) => p.id === id)?.label ?? id);
+  const names = [...presets, ...splitCodePatterns(d.codePattern)];
+  const code = [d.codeNormalize?.zeros && "zeros a esquerda", d.codeNormalize?.separators && "separadores"];
+  const desc = [
+    d.descNormalize?.accents && "acentos",
+    d.descNormalize?.punctuation && "pontuacao",
+    d.descNormalize?.spaces && "espacos",
+  ];
+  const ignored = [
+    code.some(Boolean) ? `codigo (${code.filter(Boolean).join(", ")})` : "",
+    desc.some(Boolean) ? `descricao (${desc.filter(Boolean).join(", ")})` : "",
+  ].filter(Boolean);
+  return `${names.length ? ` | Codigo: ${names.join(", ")}` : ""}${
+    ignored.length ? ` | Soma ignora: ${ignored.join("; ")}` : ""
+  }`;
+}
+
+export function describeDetection(detection) {
+  const d = { ...DEFAULT_DETECTION, ...detection };
+  const section = [
+    ` | Secao: estilos de Titulo${d.sectionPattern ? ` + "${d.sectionPattern}"` : ""}`,
+    ` | Revisoes: ${d.revisions === "original" ? "texto original" : "aceitas"}`,
+    ` | Cabecalho/rodape: ${d.headerFooter ? "sim" : "nao"}`,
+    ` | Caixas de texto: ${d.textBoxes ? "sim" : "nao"}`,
+    describeCodePatterns(d),
+    ` | #N/D: ${d.ndAsEmpty ? "vazio" : "valor"}`,
+    describeFixedColumns(d.columns),
+  ].join("");
+  if (d.mode === "manual") return `Manual (${d.selected.length} tabela(s) marcada(s))${section}`;
+  return `Palavras-chave: ${d.keywords.join(" | ") || "(nenhuma)"} | ${
+    d.matchMode === "contains" ? "contem" : "celula exata"
+  } | ${d.headerRows} linha(s) de cabecalho${section}`;
+}
+
+/** Interpreta uma parte XML do pacote; erros viram DocxError com linha e coluna. */
+function parseXmlPart(text, part) {
+  try {
+    return new DOMParser({ onError: onErrorStopParsing }).parseFromString(text, "application/xml");
+  } catch (err) {
+    if (!(err instanceof ParseError)) throw err;
+    throw new DocxError("xml_invalido", `Falha ao interpretar o XML de ${part}.`, {
+      part,
+      line: err.locator?.lineNumber ?? null,
+      column: err.locator?.columnNumber ?? null,
+      detail: err.message,
+    });
+  }
+}
+
+/** Ids de estilo usados como fallback quando o DOCX nao traz word/styles.xml. */
+const HEADING_STYLE_ID_RE = /^(heading|titulo|ttulo)\d$/i;
+
+/**
+ * Ids dos estilos de paragrafo que sao titulos: nome "heading N" / "Titulo N"
+ * ou nivel de estrutura (w:outlineLvl) definido no proprio estilo.
+ */
+async function readHeadingStyles(zip) {
+  const ids = new Set();
+  const stylesXml = await zip.file("word/styles.xml")?.async("string");
+  if (!stylesXml) return ids;
+
+  const xml = parseXmlPart(stylesXml, "word/styles.xml");
+  Array.from(xml.getElementsByTagName("w:style")).forEach((st) => {
+    if (st.getAttribute("w:type") !== "paragraph") return;
+    const name = foldText(propVal(st, "w:name") ?? "");
+    const outline = propVal(firstChildElement(st, "w:pPr"), "w:outlineLvl");
+    if (/^(heading|titulo) \d$/.test(name) || (outline !== null && Number(outline) < 9)) {
+      ids.add(st.getAttribute("w:styleId"));
+    }
+  });
+  return ids;
+}
+
+/** Casa o texto de um paragrafo com o padrao de secao configurado (texto inicial ou /regex/). */
+export function compileSectionMatcher(pattern) {
+  const p = norm(pattern);
+  if (!p) return () => false;
+
+  const rx = /^\/(.+)\/([a-z]*)$/.exec(p);
+  if (rx) {
+    let re;
+    try {
+      re = new RegExp(rx[1], rx[2].includes("i") ? rx[2] : `${rx[2]}i`);
+    } catch {
+      throw new DocxError("config_invalida", `Expressao invalida no padrao de secao: ${p}`);
+    }
+    return (text) => re.test(text) || re.test(foldText(text));
+  }
+
+  const fp = foldText(p);
+  return (text) => foldText(text).startsWith(fp);
+}
+
+/**
+ * Secao de cada tabela: o ultimo titulo (paragrafo fora de tabela ou caixa de texto) antes dela.
+ * Tabelas aninhadas herdam a secao da tabela externa.
+ * @returns {Map<Element, string>}
+ */
+function mapTableSections(xml, headingStyles, matchSection, revisions) {
+  const isHeading = (p, text) => {
+    const pPr = firstChildElement(p, "w:pPr");
+    const style = propVal(pPr, "w:pStyle");
+    const outline = propVal(pPr, "w:outlineLvl");
+    if (style && (headingStyles.has(style) || HEADING_STYLE_ID_RE.test(style))) return true;
+    if (outline !== null && Number(outline) < 9) return true;
+    return matchSection(text);
+  };
+
+  const sections = new Map();
+  let current = "";
+  const walk = (node, nested) => {
+    for (let c = node.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType !== 1 || c.nodeName === "mc:Fallback") continue;
+      if (c.nodeName === "w:tbl") {
+        sections.set(c, current);
+        walk(c, true);
+        continue;
+      }
+      if (c.nodeName === "w:p" && !nested) {
+        const text = xmlTextOf(c, revisions);
+        if (text && isHeading(c, text)) current = text;
+      }
+      walk(c, nested || c.nodeName === "w:txbxContent");
+    }
+  };
+  walk(xml.documentElement, false);
+  return sections;
+}
+
+/**
+ * Partes com tabelas: o corpo (nome "") e, se pedido, cabecalhos e rodapes ("header1", "footer2"...).
+ */
+async function readDocxParts(zip, xml, detection) {
+  const parts = [{ name: "", xml }];
+  if (!detection.headerFooter) return parts;
+
+  const names = Object.keys(zip.files)
+    .filter((n) => /^word\/(header|footer)\d*\.xml$/i.test(n))
+    .sort((a, b) => a.localeCompare(b, "en", { numeric: true }));
+
+  for (const n of names) {
+    parts.push({ name: n.slice("word/".length, -".xml".length), xml: parseXmlPart(await zip.file(n).async("string"), n) });
+  }
+  return parts;
+}
+
+/**
+ * Tabelas de todas as partes, em ordem de documento e numeradas por parte.
+ * A numeracao nao depende das opcoes, para que as chaves de tabela continuem valendo;
+ * quem chama filtra as de caixa de texto. mc:Fallback e pulado para nao contar a mesma caixa duas vezes.
+ */
+function docxTables(parts, fileName) {
+  return parts.flatMap((part) => {
+    const found = [];
+    const walk = (node, textBox) => {
+      for (let c = node.firstChild; c; c = c.nextSibling) {
+        if (c.nodeType !== 1 || c.nodeName === "mc:Fallback") continue;
+        if (c.nodeName === "w:tbl") found.push({ tbl: c, textBox });
+        walk(c, textBox || c.nodeName === "w:txbxContent");
+      }
+    };
+    walk(part.xml.documentElement, false);
+
+    return found.map(({ tbl, textBox }, i) => {
+      const where = [part.name, textBox ? "caixa" : ""].filter(Boolean).join("/");
+      return {
+        tbl,
+        part: part.name,
+        where,
+        textBox,
+        tNumber: i + 1,
+        key: tableKey(fileName, i + 1, part.name),
+        label: `${where ? `${where}:` : ""}T${i + 1}`,
+      };
+    });
+  });
+}
+
+/**
+ * Formatos de entrada. O adaptador e escolhido pelo conteudo (zip com word/document.xml, zip com
+ * content.xml, XML office:document, HTML com <table> ou texto com tabulacao); a extensao so filtra
+ * a selecao de arquivos. TSV nao tem extensao propria: chega colado da area de transferencia.
+ * @typedef {"docx" | "odt" | "html" | "tsv"} InputFormat
+ */
+export const INPUT_FORMATS = [
+  { v: "docx", label: "DOCX", extensions: [".docx", ".docm", ".dotx", ".dotm"] },
+  { v: "odt", label: "ODT", extensions: [".odt", ".fodt"] },
+  { v: "html", label: "HTML", extensions: [".html", ".htm"] },
+  { v: "tsv", label: "TSV", extensions: [] },
+];
+
+export const INPUT_EXTENSIONS = INPUT_FORMATS.flatMap((f) => f.extensions);
+
+/** Nome com extensao de algum formato de entrada (sem os "~$" temporarios do Word). */
+export function isInputName(name) {
+  const n = String(name || "").toLowerCase();
+  return !n.startsWith("~$") && INPUT_EXTENSIONS.some((ext) => n.endsWith(ext));
+}
+
+/**
+ * Modelo comum dos adaptadores: tabelas ja em grade (ver readTableGrid), com parte, chave e secao.
+ * `tr` so existe no DOCX.
+ * @typedef {{ width: number; rows: { tr?: Element; tcCount: number; cells: string[] }[] }} TableGrid
+ * @typedef {{ key: string; label: string; where: string; tNumber: number; textBox: boolean; secao: string; grid: TableGrid }} SourceTable
+ * @typedef {{ format: InputFormat; tables: SourceTable[] }} SourceDocument
+ */
+
+/** Linhas/colunas repetidas ou mescladas alem disto sao cortadas (ODT e HTML repetem celulas vazias). */
+const MAX_REPEAT = 64;
+
+/** Texto corrido: quebras e espacos do codigo-fonte (ODT, HTML) viram um espaco. */
+function collapseText(s) {
+  return norm(s.replace(/\s+/g, " "));
+}
+
+/**
+ * Tabela de ODT, HTML ou TSV (uma parte so: "" ou "clipboard"); a chave segue a do DOCX para
+ * valer na selecao manual.
+ */
+function sourceTable(fileName, tNumber, textBox, secao, grid, part = "") {
+  const where = [part, textBox ? "caixa" : ""].filter(Boolean).join("/");
+  return {
+    key: tableKey(fileName, tNumber, part),
+    label: `${where ? `${where}:` : ""}T${tNumber}`,
+    where,
+    tNumber,
+    textBox,
+    secao,
+    grid,
+  };
+}
+
+/** word/document.xml interpretado, partes com tabelas e tabelas numeradas (sem as de caixa, se pedido). */
+async function loadDocx(zip, fileName, detection, onProgress) {
+  const docXml = await zip.file("word/document.xml")?.async("string");
+  if (!docXml) {
+    throw new DocxError("sem_document_xml", "Nao foi possivel ler word/document.xml do DOCX.", {
+      part: "word/document.xml",
+    });
+  }
+  onProgress?.({ stage: "parse", current: 0, total: 1, part: "word/document.xml" });
+  const xml = parseXmlPart(docXml, "word/document.xml");
+
+  const parts = await readDocxParts(zip, xml, detection);
+  const tables = docxTables(parts, fileName).filter((t) => detection.textBoxes || !t.textBox);
+  return { xml, parts, tables };
+}
+
+/** @returns {Promise<SourceDocument>} */
+async function readDocxSource(zip, fileName, detection, onProgress) {
+  const { xml, tables } = await loadDocx(zip, fileName, detection, onProgress);
+  const matchSection = compileSectionMatcher(detection.sectionPattern);
+  const sections = mapTableSections(xml, await readHeadingStyles(zip), matchSection, detection.revisions);
+
+  return {
+    format: "docx",
+    tables: tables.map((t) => ({
+      key: t.key,
+      label: t.label,
+      where: t.where,
+      tNumber: t.tNumber,
+      textBox: t.textBox,
+      secao: sections.get(t.tbl) ?? "",
+      grid: readTableGrid(t.tbl, detection.revisions),
+    })),
+  };
+}
+
+/**
+ * Partes XML do DOCX (caminho no pacote + documento) e tabelas com as linhas w:tr na mesma
+ * numeracao da extracao (rotulo "header1:T2", linha 1 = primeira w:tr lida), para escrever
+ * de volta no documento.
+ * @param {JSZip} zip
+ * @param {string} fileName
+ * @param {DetectionConfig} [detection]
+ */
+export async function readDocxTables(zip, fileName, detection = DEFAULT_DETECTION) {
+  const d = { ...DEFAULT_DETECTION, ...detection };
+  const { parts, tables } = await loadDocx(zip, fileName, d);
+  return {
+    parts: parts.map((p) => ({ name: p.name, path: p.name ? `word/${p.name}.xml` : "word/document.xml", xml: p.xml })),
+    tables: tables.map((t) => ({
+      label: t.label,
+      part: t.part,
+      rows: readTableGrid(t.tbl, d.revisions).rows.map((r) => ({ tr: r.tr, tcs: childElements(r.tr, "w:tc") })),
+    })),
+  };
+}
+
+/** Elementos do ODT cujo texto nao faz parte do documento (alteracoes excluidas, notas, comentarios). */
+const ODT_SKIP = new Set(["text:tracked-changes", "office:annotation", "text:note"]);
+const ODT_ROW_GROUPS = new Set(["table:table-header-rows", "table:table-rows", "table:table-row-group"]);
+
+function odtAttr(el, name) {
+  return Number(el.getAttribute(name)) || 1;
+}
+
+/** Texto de um paragrafo ou celula ODT, sem descer em tabelas aninhadas. */
+function odtTextOf(node) {
+  let out = "";
+  const walk = (n) => {
+    for (let c = n.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType === 3) out += c.data;
+      if (c.nodeType !== 1 || c.nodeName === "table:table" || ODT_SKIP.has(c.nodeName)) continue;
+      if (c.nodeName === "text:s") out += " ".repeat(odtAttr(c, "text:c"));
+      else if (c.nodeName === "text:tab" || c.nodeName === "text:line-break") out += " ";
+      else {
+        walk(c);
+        if (c.nodeName === "text:p" || c.nodeName === "text:h") out += " ";
+      }
+    }
+  };
+  walk(node);
+  return collapseText(out);
+}
+
+function odtRows(node, out = []) {
+  for (let c = node.firstChild; c; c = c.nextSibling) {
+    if (c.nodeType !== 1) continue;
+    if (c.nodeName === "table:table-row") out.push(c);
+    else if (ODT_ROW_GROUPS.has(c.nodeName)) odtRows(c, out);
+  }
+  return out;
+}
+
+/**
+ * Grade de uma table:table no mesmo modelo do DOCX: celula coberta por mescla vertical herda o texto
+ * de cima, por mescla horizontal fica vazia; repeticoes (number-*-repeated) sao expandidas.
+ * @returns {TableGrid}
+ */
+function readOdtGrid(tbl) {
+  const rows = [];
+  const above = [];
+  let width = 0;
+
+  odtRows(tbl).forEach((tr) => {
+    const cells = [];
+    let tcCount = 0;
+    let col = 0;
+    for (let tc = tr.firstChild; tc; tc = tc.nextSibling) {
+      const covered = tc.nodeName === "table:covered-table-cell";
+      if (!covered && tc.nodeName !== "table:table-cell") continue;
+      const repeat = Math.min(odtAttr(tc, "table:number-columns-repeated"), MAX_REPEAT);
+      for (let k = 0; k < repeat; k++, col++) {
+        if (covered) {
+          const up = above[col];
+          cells[col] = up?.left > 0 ? up.text : "";
+          if (up?.left > 0) up.left -= 1;
+          continue;
+        }
+        tcCount += 1;
+        cells[col] = odtTextOf(tc);
+        above[col] = { text: cells[col], left: odtAttr(tc, "table:number-rows-spanned") - 1 };
+      }
+    }
+
+    const times = cells.some(Boolean) ? Math.min(odtAttr(tr, "table:number-rows-repeated"), MAX_REPEAT) : 1;
+    for (let k = 0; k < times; k++) rows.push({ tcCount, cells: cells.slice() });
+    width = Math.max(width, cells.length);
+  });
+
+  rows.forEach((r) => {
+    for (let c = 0; c < width; c++) r.cells[c] = r.cells[c] ?? "";
+  });
+  return { width, rows };
+}
+
+/**
+ * ODT (content.xml) ou ODT plano (.fodt): tabelas em ordem de documento; text:h e paragrafos que
+ * casam com o padrao de secao viram secao. Tabelas em draw:text-box contam como caixa de texto.
+ * @returns {SourceDocument}
+ */
+function readOdtSource(xml, fileName, detection) {
+  const matchSection = compileSectionMatcher(detection.sectionPattern);
+  const found = [];
+  let current = "";
+  const walk = (node, textBox, nested) => {
+    for (let c = node.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType !== 1 || ODT_SKIP.has(c.nodeName)) continue;
+      if (c.nodeName === "table:table") {
+        found.push({ tbl: c, textBox, secao: current });
+        walk(c, textBox, true);
+        continue;
+      }
+      if (!nested && (c.nodeName === "text:h" || c.nodeName === "text:p")) {
+        const text = odtTextOf(c);
+        if (text && (c.nodeName === "text:h" || matchSection(text))) current = text;
+      }
+      const box = c.nodeName === "draw:text-box";
+      walk(c, textBox || box, nested || box);
+    }
+  };
+  const body = xml.getElementsByTagName("office:body")[0];
+  if (body) walk(body, false, false);
+
+  return {
+    format: "odt",
+    tables: found
+      .map((t, i) => ({ ...t, tNumber: i + 1 }))
+      .filter((t) => detection.textBoxes || !t.textBox)
+      .map((t) => sourceTable(fileName, t.tNumber, t.textBox, t.secao, readOdtGrid(t.tbl))),
+  };
+}
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  euro: "\u20AC",
+  ndash: "\u2013",
+  mdash: "\u2014",
+  lsquo: "\u2018",
+  rsquo: "\u2019",
+  ldquo: "\u201C",
+  rdquo: "\u201D",
+  bull: "\u2022",
+  hellip: "\u2026",
+  trade: "\u2122",
+};
+// Latin-1 (U+00A0 a U+00FF), na ordem dos codigos.
+`nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute
+micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml Aring AElig
+Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash
+Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc
+euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml
+yacute thorn yuml`
+  .split(/\s+/)
+  .forEach((name, i) => {
+    HTML_ENTITIES[name] = String.fromCharCode(0xa0 + i);
+  });
+
+function decodeHtmlEntities(s) {
+  return s.replace(/&(#x[\da-f]+|#\d+|[a-z][a-z\d]*);/gi, (m, e) => {
+    if (e[0] !== "#") return HTML_ENTITIES[e] ?? HTML_ENTITIES[e.toLowerCase()] ?? m;
+    const n = /^#x/i.test(e) ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+  });
+}
+
+/** Comentarios, declaracoes, blocos sem texto visivel, tags e texto, nesta ordem. */
+const HTML_TOKEN_RE =
+  /<!--[\s\S]*?-->|<![^>]*>|<(script|style|xml|title)\b[\s\S]*?<\/\1\s*>|<(\/?)([a-z][\w:-]*)([^>]*)>|([^<]+)/gi;
+/** Tags que quebram o texto: separam paragrafos fora da tabela e viram espaco dentro da celula. */
+const HTML_BLOCK_RE = /^(p|div|br|li|ul|ol|h[1-6]|caption|section|article|header|footer|blockquote|pre|hr|dt|dd)$/;
+const HTML_TABLE_RE = /<table[\s>]/i;
+
+function htmlSpan(attrs, name) {
+  const m = new RegExp(`\\b${name}\\s*=\\s*["']?(\\d+)`, "i").exec(attrs);
+  return Math.min(Math.max(1, Number(m?.[1]) || 1), MAX_REPEAT);
+}
+
+/**
+ * Grade de uma tabela HTML: colspan ocupa varias posicoes (texto na primeira) e rowspan repete o
+ * texto nas linhas de baixo, como a mescla vertical do DOCX.
+ * @returns {TableGrid}
+ */
+function htmlGrid(rows) {
+  const grid = rows.map(() => []);
+  rows.forEach((row, r) => {
+    let col = 0;
+    row.forEach((cell) => {
+      while (grid[r][col] !== undefined) col += 1;
+      const text = collapseText(cell.text);
+      for (let dr = 0; dr < cell.rowspan && r + dr < rows.length; dr++) {
+        for (let dc = 0; dc < cell.colspan; dc++) grid[r + dr][col + dc] = dc === 0 ? text : "";
+      }
+      col += cell.colspan;
+    });
+  });
+
+  const width = Math.max(0, ...grid.map((cells) => cells.length));
+  return {
+    width,
+    rows: grid.map((cells, r) => ({
+      tcCount: rows[r].length,
+      cells: Array.from({ length: width }, (_, c) => cells[c] ?? ""),
+    })),
+  };
+}
+
+/**
+ * HTML (exportacao do Word, LibreOffice ou planilha): le as tags de tabela sem montar DOM, aceitando
+ * </td> e </tr> implicitos. h1..h6 e paragrafos que casam com o padrao de secao viram secao.
+ * @returns {SourceDocument}
+ */
+function readHtmlSource(html, fileName, detection, part = "") {
+  const matchSection = compileSectionMatcher(detection.sectionPattern);
+  const found = [];
+  const open = [];
+  let current = "";
+  let para = "";
+  let heading = false;
+
+  const flush = () => {
+    const text = collapseText(para);
+    if (text && (heading || matchSection(text))) current = text;
+    para = "";
+    heading = false;
+  };
+  const closeCell = (t) => {
+    t.cell = null;
+  };
+  const closeRow = (t) => {
+    closeCell(t);
+    t.row = null;
+  };
+
+  for (const m of html.matchAll(HTML_TOKEN_RE)) {
+    const [, , closing, rawTag, attrs, text] = m;
+    const top = open[open.length - 1];
+
+    if (text !== undefined) {
+      if (top) {
+        if (top.cell) top.cell.text += decodeHtmlEntities(text);
+      } else {
+        para += decodeHtmlEntities(text);
+      }
+      continue;
+    }
+    if (!rawTag) continue;
+
+    const tag = rawTag.toLowerCase();
+    if (tag === "table") {
+      if (closing) {
+        if (top) open.pop();
+        continue;
+      }
+      if (!top) flush();
+      const t = { rows: [], row: null, cell: null, secao: top ? top.secao : current };
+      found.push(t);
+      open.push(t);
+      continue;
+    }
+
+    if (!top) {
+      if (HTML_BLOCK_RE.test(tag)) {
+        flush();
+        heading = !closing && /^h[1-6]$/.test(tag);
+      }
+      continue;
+    }
+
+    if (tag === "tr") {
+      closeRow(top);
+      if (!closing) top.rows.push((top.row = []));
+    } else if (tag === "td" || tag === "th") {
+      closeCell(top);
+      if (closing) continue;
+      if (!top.row) top.rows.push((top.row = []));
+      top.cell = { text: "", colspan: htmlSpan(attrs, "colspan"), rowspan: htmlSpan(attrs, "rowspan") };
+      top.row.push(top.cell);
+    } else if (top.cell && HTML_BLOCK_RE.test(tag)) {
+      top.cell.text += " ";
+    }
+  }
+  flush();
+
+  return {
+    format: "html",
+    tables: found.map((t, i) => sourceTable(fileName, i + 1, false, t.secao, htmlGrid(t.rows), part)),
+  };
+}
+
+/**
+ * Texto de um arquivo nao-zip: BOM, depois charset do <meta> ou da declaracao XML, senao UTF-8.
+ * Com `fallback` (ex.: "windows-1252" do CSV do Excel), bytes que nao sao UTF-8 valido sao lidos
+ * nessa codificacao em vez de virar U+FFFD.
+ * @param {Uint8Array} bytes
+ * @param {string} [fallback]
+ */
+export function decodeText(bytes, fallback = "") {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return new TextDecoder("utf-8").decode(bytes);
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder("utf-16le").decode(bytes);
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes);
+
+  const head = new TextDecoder("latin1").decode(bytes.subarray(0, 2048));
+  const charset = (/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head) ??
+    /^<\?xml[^>]+encoding\s*=\s*["']([\w-]+)/i.exec(head))?.[1];
+  if (!charset && fallback) {
+    try {
+      return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    } catch {
+      return new TextDecoder(fallback).decode(bytes);
+    }
+  }
+  try {
+    return new TextDecoder(charset || "utf-8").decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+/**
+ * Linhas de um texto TSV como o Excel copia: campo que comeca com aspas pode ter tabulacao,
+ * quebra de linha e "" (aspas escapadas). A quebra final nao gera linha.
+ */
+export function parseTsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let i = 0;
+  const src = String(text ?? "").replace(/\r\n?/g, "\n");
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '"' && field === "") {
+      let j = i + 1;
+      while (j < src.length && !(src[j] === '"' && src[j + 1] !== '"')) {
+        field += src[j];
+        j += src[j] === '"' ? 2 : 1;
+      }
+      i = j + 1;
+      continue;
+    }
+    if (ch === "\t") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+    i += 1;
+  }
+  if (field !== "" || row.length) rows.push([...row, field]);
+  return rows;
+}
+
+/** TSV colado: uma tabela so, sem secao; linha em branco conta como linha vazia. */
+function readTsvSource(text, fileName, part = "") {
+  const lines = parseTsv(text);
+  const width = Math.max(0, ...lines.map((cells) => cells.length));
+  const rows = lines.map((cells) => ({
+    tcCount: cells.some((c) => c.trim()) ? cells.length : 0,
+    cells: Array.from({ length: width }, (_, c) => collapseText(cells[c] ?? "")),
+  }));
+  return { format: "tsv", tables: rows.length ? [sourceTable(fileName, 1, false, "", { width, rows }, part)] : [] };
+}
+
+/** Nome do arquivo (e parte da origem: "clipboard:T1/L2") de uma tabela colada. */
+export const CLIPBOARD_NAME = "clipboard";
+
+/**
+ * Tabela colada como arquivo, para seguir o mesmo caminho dos documentos (worker, historico,
+ * selecao manual). Usa o `text/html` quando ele traz <table>, senao o texto com tabulacao (TSV).
+ * @param {{ html?: string; text?: string }} payload
+ */
+export function clipboardFile({ html = "", text = "" }) {
+  if (HTML_TABLE_RE.test(html)) {
+    // O texto ja esta decodificado; o charset declarado pela origem nao vale mais.
+    const clean = html.replace(/<meta\b[^>]*charset[^>]*>/gi, "");
+    return new File([clean], CLIPBOARD_NAME, { type: "text/html" });
+  }
+  if (text.includes("\t")) return new File([text], CLIPBOARD_NAME, { type: "text/tab-separated-values" });
+  throw new DocxError("sem_tabela", "A area de transferencia nao tem tabela (HTML com <table> ou texto com tabulacao).");
+}
+
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+const FLAT_ODT_RE = /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<office:document[\s>]/;
+
+/**
+ * Abre o arquivo com o adaptador do seu conteudo e devolve as tabelas no modelo comum.
+ * @param {Blob & { name?: string }} file
+ * @param {DetectionConfig} detection
+ * @param {(p: ExtractProgress) => void} [onProgress]
+ * @returns {Promise<SourceDocument>}
+ */
+export async function readSourceDocument(file, detection = DEFAULT_DETECTION, onProgress) {
+  const d = { ...DEFAULT_DETECTION, ...detection };
+  const fileName = file.name ?? "";
+  const part = fileName === CLIPBOARD_NAME ? CLIPBOARD_NAME : "";
+  onProgress?.({ stage: "unzip", current: 0, total: 1 });
+  const bytes = new Uint8Array(await file.arrayBuffer());
+
+  if (!ZIP_MAGIC.every((b, i) => bytes[i] === b)) {
+    const text = decodeText(bytes);
+    if (FLAT_ODT_RE.test(text)) {
+      onProgress?.({ stage: "parse", current: 0, total: 1, part: fileName });
+      return readOdtSource(parseXmlPart(text, fileName), fileName, d);
+    }
+    if (HTML_TABLE_RE.test(text)) {
+      onProgress?.({ stage: "parse", current: 0, total: 1, part: fileName });
+      return readHtmlSource(text, fileName, d, part);
+    }
+    if (text.includes("\t")) return readTsvSource(text, fileName, part);
+    throw new DocxError("zip_invalido", "O arquivo nao e DOCX, ODT, HTML com tabelas ou texto com tabulacao (zip ilegivel).", {
+      detail: "sem assinatura zip, <table> nem tabulacao",
+    });
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(bytes);
+  } catch (err) {
+    throw new DocxError("zip_invalido", "O arquivo nao e um DOCX ou ODT valido (zip ilegivel).", {
+      detail: String(err?.message ?? err),
+    });
+  }
+
+  if (zip.file("word/document.xml")) return readDocxSource(zip, fileName, d, onProgress);
+
+  const content = await zip.file("content.xml")?.async("string");
+  if (content) {
+    onProgress?.({ stage: "parse", current: 0, total: 1, part: "content.xml" });
+    return readOdtSource(parseXmlPart(content, "content.xml"), fileName, d);
+  }
+
+  throw new DocxError("sem_document_xml", "Nao foi possivel ler word/document.xml (DOCX) nem content.xml (ODT).", {
+    part: "word/document.xml",
+  });
+}
+
+/**
+ * Lista todas as tabelas do documento com uma previa das primeiras linhas,
+ * para o modo de selecao manual.
+ */
+export async function listDocxTables(file, detection = DEFAULT_DETECTION) {
+  const d = { ...DEFAULT_DETECTION, ...detection };
+  const matchers = compileKeywordMatchers(d);
+  const { tables } = await readSourceDocument(file, d);
+
+  return tables.map((t) => {
+    const texts = t.grid.rows.slice(0, Math.max(3, d.headerRows || 1)).map((r) => r.cells);
+    return {
+      key: t.key,
+      arquivo: file.name,
+      tNumber: t.tNumber,
+      label: t.label,
+      rows: t.grid.rows.length,
+      preview: texts.slice(0, 3),
+      autoMatch: findHeaderRow(texts, matchers, d.headerRows) >= 0,
+    };
+  });
+}
+
+/**
+ * Item de uma linha de tabela: a quantidade vem de `quantidade_raw`; unidade, preco unitario e
+ * total vem das colunas do mapeamento, com o total conferido por `checkItemTotal`.
+ * @param {string[]} cellsText celulas da linha
+ * @param {ColumnMapping} mapping
+ * @param {{ codigo: string; codigo_padrao: string; descricao: string; quantidade_raw: string; origem: string; arquivo: string; secao?: string }} fields
+ * @returns {Item}
+ */
+function rowItem(cellsText, mapping, fields) {
+  const cellAt = (i) => (i >= 0 ? norm(cellsText[i] ?? "") : "");
+  const parsed = parseQuantity(fields.quantidade_raw);
+  const qty = parsed.value;
+  const unit = cellAt(mapping.unidade) || parsed.unit;
+  const priceRaw = cellAt(mapping.preco_unit);
+  const totalRaw = cellAt(mapping.total);
+  const price = priceRaw ? parsePtNumber(priceRaw) : NaN;
+  const total = totalRaw ? parsePtNumber(totalRaw) : NaN;
+
+  return {
+    codigo: fields.codigo,
+    codigo_padrao: fields.codigo_padrao,
+    descricao: fields.descricao,
+    quantidade_raw: fields.quantidade_raw,
+    quantidade: qty,
+    ...(parsed.warning ? { quantidade_aviso: parsed.warning } : {}),
+    ...(mapping.unidade >= 0 || unit ? { unidade: unit } : {}),
+    ...(mapping.preco_unit >= 0 ? { preco_unit_raw: priceRaw, preco_unit: price } : {}),
+    ...(mapping.total >= 0 ? { total_raw: totalRaw, total } : {}),
+    ...(mapping.preco_unit >= 0 ? checkItemTotal(qty, price, total) : {}),
+    origem: fields.origem,
+    arquivo: fields.arquivo,
+    ...(fields.secao ? { secao: fields.secao } : {}),
+  };
+}
+
+/**
+ * Item a partir de uma linha ignorada corrigida pelo usuario. Preco, total e unidade saem das
+ * celulas da linha com o mapeamento da tabela de origem (de `meta.mappings`), como na extracao.
+ * @param {IgnoredRow} row
+ * @param {{ codigo: string; descricao: string; quantidade_raw: string }} values
+ * @param {{ arquivo: string; label: string; mapping: ColumnMapping }[]} mappings
+ * @param {{ match: (code: string) => string }} codeMatcher de `compileCodeMatcher`
+ * @returns {Item}
+ */
+export function itemFromIgnored(row, values, mappings, codeMatcher) {
+  const found = (mappings ?? []).find((m) => m.arquivo === row.arquivo && `${m.label}/L${row.linha}` === row.origem);
+  // Sem o mapeamento (resultado antigo), fica a unidade guardada na linha e nao ha preco/total.
+  const mapping = found?.mapping ?? { unidade: -1, preco_unit: -1, total: -1 };
+  const item = rowItem(row.celulas ?? [], mapping, {
+    codigo: norm(values.codigo),
+    codigo_padrao: codeMatcher.match(values.codigo),
+    descricao: norm(values.descricao),
+    quantidade_raw: norm(values.quantidade_raw),
+    origem: row.origem,
+    arquivo: row.arquivo,
+    secao: row.secao,
+  });
+  return { ...item, ...(!item.unidade && row.unidade ? { unidade: row.unidade } : {}), editado: true };
+}
+
+/**
+ * Le DOCX (e DOCM/DOTX), ODT ou HTML: o formato vem do conteudo (ver readSourceDocument).
+ * @param {File} file
+ * @param {{ detection?: DetectionConfig; columnOverrides?: Record<string, Partial<ColumnMapping>>; onProgress?: (p: ExtractProgress) => void }} [options]
+ */
+export async function extractItemsFromDocx(file, options = {}) {
+  const detection = { ...DEFAULT_DETECTION, ...options.detection };
+  const matchers = compileKeywordMatchers(detection);
+  const selected = new Set(detection.selected);
+  const overrides = options.columnOverrides ?? {};
+  const codeMatcher = compileCodeMatcher(detection);
+  const fixedColumns = Object.keys(detection.columns ?? {}).length ? detection.columns : undefined;
+  const isEmptyCell = (t) => !t || (detection.ndAsEmpty && isNd(t));
+
+  const onProgress = options.onProgress;
+
+  const { format, tables } = await readSourceDocument(file, detection, onProgress);
+
+  /** @type {Item[]} */
+  const results = [];
+  /** @type {IgnoredRow[]} */
+  const ignored = [];
+  const mappings = [];
+  let itensTables = 0;
+
+  tables.forEach(({ grid, secao, where, tNumber, key, label }, i) => {
+    onProgress?.({ stage: "tables", current: i + 1, total: tables.length });
+    const rows = grid.rows;
+    if (!rows.length) return;
+
+    const scanned = rows.slice(0, Math.max(1, detection.headerRows)).map((r) => r.cells);
+    const headerIndex = findHeaderRow(scanned, matchers, detection.headerRows);
+
+    if (detection.mode === "manual") {
+      if (!selected.has(key)) return;
+    } else if (headerIndex < 0) {
+      return;
+    }
+
+    itensTables += 1;
+
+    const lastScan = Math.max(headerIndex, detection.headerRows - 1, 0) + 1;
+    const headTexts = rows.slice(0, lastScan + 1).map((r) => r.cells);
+    const mapping = applyColumnOverride(
+      detectColumnMapping(headTexts, 0, lastScan, codeMatcher),
+      overrides[key] ?? fixedColumns
+    );
+    mappings.push({ key, arquivo: file.name, tNumber, label, columns: grid.width, mapping });
+
+    const firstData = Math.max(headerIndex, mapping.headerRow, 0) + 1;
+
+    rows.slice(firstData).forEach((row, rOffset) => {
+      const rNumber = firstData + rOffset + 1;
+
+      const cellsText = row.cells;
+      const cellAt = (i) => (i >= 0 ? norm(cellsText[i] ?? "") : "");
+      const code = cellAt(mapping.codigo);
+      const desc = cellAt(mapping.descricao);
+
+      const skip = (reason, value = "") => {
+        ignored.push({
+          arquivo: file.name,
+          parte: where,
+          tabela: tNumber,
+          linha: rNumber,
+          origem: `${label}/L${rNumber}`,
+          motivo: reason,
+          valor: value,
+          celulas: row.tcCount ? cellsText.slice() : [],
+          codigo: code,
+          descricao: desc,
+          quantidade_raw: cellAt(mapping.quantidade),
+          unidade: cellAt(mapping.unidade),
+          secao,
+        });
+      };
+
+      if (!row.tcCount) {
+        skip("skip_empty_row");
+        return;
+      }
+
+      if (isEmptyCell(code)) {
+        skip("skip_code_empty_or_ND");
+        return;
+      }
+      const codePattern = codeMatcher.match(code);
+      if (!codePattern) {
+        skip("skip_code_invalid", code);
+        return;
+      }
+
+      const qtyRaw = pickQuantityFromRow(cellsText, mapping, detection.ndAsEmpty);
+      if (isEmptyCell(qtyRaw)) {
+        skip("skip_qty_empty_or_ND", code);
+        return;
+      }
+
+      results.push(
+        rowItem(cellsText, mapping, {
+          codigo: code,
+          codigo_padrao: codePattern,
+          descricao: desc,
+          quantidade_raw: qtyRaw,
+          origem: `${label}/L${rNumber}`,
+          arquivo: file.name,
+          secao,
+        })
+      );
+    });
+  });
+
+  const meta = {
+    formato: format,
+    tables_total: tables.length,
+    itens_tables: itensTables,
+    rows_extracted: results.length,
+    rows_ignored: ignored.length,
+    ignored_details: ignored,
+    totals_divergent: results.filter((it) => it.total_diverge).length,
+    qty_warnings: results.filter((it) => it.quantidade_aviso).length,
+    mappings,
+  };
+
+  return { items: results, meta };
+}
+
+/**
+ * Junta o resultado de varios arquivos em uma unica lista de itens + meta.
+ * Cada entrada de `runs` e `{ name, items, meta }` (sucesso) ou `{ name, error }` (falha; `error`
+ * e texto ou o objeto de `errorInfo`).
+ */
+export function mergeExtractions(runs) {
+  /** @type {Item[]} */
+  const items = [];
+  /** @type {IgnoredRow[]} */
+  const ignored = [];
+  const mappings = [];
+  const files = [];
+  let tablesTotal = 0;
+  let itensTables = 0;
+
+  runs.forEach((run) => {
+    if (run.error) {
+      files.push({
+        name: run.name,
+        ok: false,
+        error: describeError(run.error),
+        ...(typeof run.error === "object" ? { error_info: run.error } : {}),
+      });
+      return;
+    }
+
+    const m = run.meta;
+    items.push(...run.items);
+    mappings.push(...(m.mappings ?? []));
+    ignored.push(...m.ignored_details);
+    tablesTotal += m.tables_total;
+    itensTables += m.itens_tables;
+    files.push({
+      name: run.name,
+      ok: true,
+      formato: m.formato,
+      tables_total: m.tables_total,
+      itens_tables: m.itens_tables,
+      rows_extracted: m.rows_extracted,
+      rows_ignored: m.rows_ignored,
+    });
+  });
+
+  const meta = {
+    tables_total: tablesTotal,
+    itens_tables: itensTables,
+    rows_extracted: items.length,
+    rows_ignored: ignored.length,
+    ignored_details: ignored,
+    totals_divergent: items.filter((it) => it.total_diverge).length,
+    qty_warnings: items.filter((it) => it.quantidade_aviso).length,
+    mappings,
+    files,
+  };
+
+  return { items, meta };
+}
+
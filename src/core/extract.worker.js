@@ -0,0 +1,62 @@
+/**
+ * Worker da extracao: recebe os arquivos, roda o nucleo fora da thread da tela e
+ * informa o progresso (descompactando, lendo XML, tabela i de N) de cada arquivo.
+ *
+ * Pedidos: { type: "extract", files, options } e { type: "list", files, detection }.
+ * Respostas: { type: "progress" | "file", ... } durante o trabalho e { type: "done", result } no fim.
+ */
+
+import { errorInfo, extractItemsFromDocx, listDocxTables } from "./extract.js";
+
+async function extract(files, options) {
+  const runs = [];
+  for (let index = 0; index < files.length; index++) {
+    const file = files[index];
+    self.postMessage({ type: "file", index, phase: "work" });
+
+    let run;
+    try {
+      const onProgress = (p) => self.postMessage({ type: "progress", index, count: files.length, name: file.name, ...p });
+      run = { name: file.name, ...(await extractItemsFromDocx(file, { ...options, onProgress })) };
+    } catch (err) {
+      run = { name: file.name, error: errorInfo(err) };
+    }
+    runs.push(run);
+    self.postMessage({
+      type: "file",
+      index,
+      phase: run.error ? "err" : "done",
+      error: run.error,
+      metrics: run.meta && {
+        formato: run.meta.formato,
+        rows_extracted: run.meta.rows_extracted,
+        rows_ignored: run.meta.rows_ignored,
+        itens_tables: run.meta.itens_tables,
+      },
+    });
+  }
+  return runs;
+}
+
+async function list(files, detection) {
+  const tables = [];
+  const errors = [];
+  for (const file of files) {
+    try {
+      tables.push(...(await listDocxTables(file, detection)));
+    } catch (err) {
+      errors.push({ name: file.name, error: errorInfo(err) });
+    }
+  }
+  return { tables, errors };
+}
+
+self.onmessage = async (e) => {
+  const { type, files, options, detection } = e.data;
+  try {
+    const result = type === "list" ? await list(files, detection) : await extract(files, options);
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "failed", error: errorInfo(err) });
+  }
+};
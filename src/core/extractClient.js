@@ -0,0 +1,54 @@
+/**
+ * Lado da tela do worker de extracao. Cada chamada cria um worker proprio; `cancel()`
+ * o encerra na hora e a promessa rejeita com DocxError de codigo "cancelado".
+ */
+
+import { DocxError } from "./extract.js";
+
+function runInWorker(request, onMessage) {
+  const worker = new Worker(new URL("./extract.worker.js", import.meta.url), { type: "module" });
+  let cancel = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    const finish = () => worker.terminate();
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "done") {
+        finish();
+        resolve(msg.result);
+      } else if (msg.type === "failed") {
+        finish();
+        reject(new DocxError(msg.error.code, msg.error.message, msg.error));
+      } else {
+        onMessage?.(msg);
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new DocxError("worker", e.message || "Falha no processamento em segundo plano."));
+    };
+    cancel = () => {
+      finish();
+      reject(new DocxError("cancelado", "Processamento cancelado."));
+    };
+  });
+
+  worker.postMessage(request);
+  return { promise, cancel: () => cancel() };
+}
+
+/**
+ * Extrai itens de varios arquivos; resolve com os `runs` esperados por `mergeExtractions`.
+ * @param {File[]} files
+ * @param {{ detection?: import("./extract.js").DetectionConfig; columnOverrides?: Record<string, object> }} options
+ * @param {(msg: any) => void} [onMessage] mensagens "progress" e "file" do worker
+ */
+export function extractInWorker(files, options, onMessage) {
+  return runInWorker({ type: "extract", files, options }, onMessage);
+}
+
+/** Lista as tabelas dos arquivos (modo manual); resolve com `{ tables, errors }`. */
+export function listTablesInWorker(files, detection) {
+  return runInWorker({ type: "list", files, detection });
+}
@@ -0,0 +1,132 @@
+/**
+ * Historico local das extracoes (IndexedDB). Tudo fica neste navegador: nada e enviado.
+ * O store "execucoes" guarda o resumo mostrado na lista; "resultados" guarda itens, meta,
+ * log, consolidado e o catalogo aplicado, lidos so quando a execucao e reaberta, baixada ou
+ * comparada.
+ */
+
+const DB_NAME = "extrator-docx";
+const DB_VERSION = 1;
+const RUNS = "execucoes";
+const RESULTS = "resultados";
+
+/** Execucoes guardadas; ao passar do limite as mais antigas saem. */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * `arquivos[].sha256` identifica o conteudo do arquivo (mesmo DOCX com outro nome).
+ * @typedef {{ id?: number; criado_em: string; arquivo: string; arquivos: { name: string; size: number; sha256: string }[]; metricas: { tables_total: number; itens_tables: number; rows_extracted: number; rows_ignored: number; totals_divergent: number }; config: { detection: object; columnOverrides: object; aggRule: string; aggBySection: boolean; catalogo: string } }} HistoryEntry
+ */
+
+/**
+ * `catalog` e o catalogo conferido nos itens (para refazer as planilhas); falta em execucoes antigas.
+ * @typedef {{ items: object[]; meta: object; ignoredRows: object[]; logText: string; aggItems: object[]; audit: object[]; catalog?: import("./catalog.js").Catalog | null }} HistoryResult
+ */
+
+export function historyAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+function done(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function committed(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transacao do historico cancelada."));
+  });
+}
+
+let dbPromise = null;
+
+function openDb() {
+  if (!historyAvailable()) return Promise.reject(new Error("Este navegador nao oferece IndexedDB."));
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(RUNS)) db.createObjectStore(RUNS, { keyPath: "id", autoIncrement: true });
+      if (!db.objectStoreNames.contains(RESULTS)) db.createObjectStore(RESULTS);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+/** SHA-256 do arquivo em hexadecimal ("" quando o navegador nao tem crypto.subtle, ex.: http fora do localhost). */
+export async function sha256Hex(blob) {
+  if (!globalThis.crypto?.subtle) return "";
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Execucoes guardadas, da mais recente para a mais antiga. */
+export async function listRuns() {
+  const db = await openDb();
+  /** @type {HistoryEntry[]} */
+  const runs = await done(db.transaction(RUNS).objectStore(RUNS).getAll());
+  return runs.reverse();
+}
+
+/**
+ * Guarda uma execucao e devolve o id. Apaga as mais antigas alem de HISTORY_LIMIT.
+ * @param {HistoryEntry} entry
+ * @param {HistoryResult} result
+ */
+export async function saveRun(entry, result) {
+  const db = await openDb();
+  const tx = db.transaction([RUNS, RESULTS], "readwrite");
+  const runs = tx.objectStore(RUNS);
+  const results = tx.objectStore(RESULTS);
+
+  const id = await done(runs.add(entry));
+  results.put(result, id);
+
+  const keys = await done(runs.getAllKeys());
+  keys.slice(0, Math.max(0, keys.length - HISTORY_LIMIT)).forEach((old) => {
+    runs.delete(old);
+    results.delete(old);
+  });
+
+  await committed(tx);
+  return id;
+}
+
+/** Troca o resultado guardado (edicoes, consolidado) sem mexer no resumo da execucao. */
+export async function updateRunResult(id, result) {
+  const db = await openDb();
+  const tx = db.transaction(RESULTS, "readwrite");
+  tx.objectStore(RESULTS).put(result, id);
+  await committed(tx);
+}
+
+/** @returns {Promise<HistoryResult | undefined>} */
+export async function loadRunResult(id) {
+  const db = await openDb();
+  return done(db.transaction(RESULTS).objectStore(RESULTS).get(id));
+}
+
+export async function deleteRun(id) {
+  const db = await openDb();
+  const tx = db.transaction([RUNS, RESULTS], "readwrite");
+  tx.objectStore(RUNS).delete(id);
+  tx.objectStore(RESULTS).delete(id);
+  await committed(tx);
+}
+
+export async function clearHistory() {
+  const db = await openDb();
+  const tx = db.transaction([RUNS, RESULTS], "readwrite");
+  tx.objectStore(RUNS).clear();
+  tx.objectStore(RESULTS).clear();
+  await committed(tx);
+}
@@ -0,0 +1,150 @@
+/**
+ * Perfis de extracao: um nome e as opcoes de deteccao e consolidacao de um cliente.
+ * Exportados/importados como JSON para a equipe toda usar as mesmas regras.
+ */
+
+import {
+  COLUMN_FIELDS,
+  DEFAULT_DETECTION,
+  compileCodeMatcher,
+  compileKeywordMatchers,
+  compileSectionMatcher,
+} from "./extract.js";
+import { AGG_RULES } from "./aggregate.js";
+
+/** Marca do arquivo JSON de perfis. */
+export const PROFILE_FORMAT = "extrator-docx/perfis";
+export const PROFILE_VERSION = 1;
+
+/** Opcoes de deteccao guardadas no perfil; modo manual e tabelas marcadas dependem do arquivo e ficam fora. */
+const PROFILE_DETECTION_FIELDS = [
+  "keywords",
+  "matchMode",
+  "headerRows",
+  "sectionPattern",
+  "revisions",
+  "headerFooter",
+  "textBoxes",
+  "codePresets",
+  "codePattern",
+  "codeNormalize",
+  "descNormalize",
+  "ndAsEmpty",
+  "columns",
+];
+
+/**
+ * @typedef {{ name: string; detection: Partial<import("./extract.js").DetectionConfig>; aggRule: string; aggBySection: boolean }} Profile
+ */
+
+/** @returns {Profile} */
+export function makeProfile(name, detection, aggRule, aggBySection) {
+  const d = { ...DEFAULT_DETECTION, ...detection };
+  return {
+    name: String(name ?? "").trim(),
+    detection: Object.fromEntries(PROFILE_DETECTION_FIELDS.map((k) => [k, d[k]])),
+    aggRule,
+    aggBySection: Boolean(aggBySection),
+  };
+}
+
+/** Deteccao atual com as opcoes do perfil (mantem modo e tabelas marcadas). */
+export function applyProfile(profile, detection) {
+  return {
+    ...detection,
+    ...profile.detection,
+    columns: { ...profile.detection.columns },
+    codeNormalize: { ...DEFAULT_DETECTION.codeNormalize, ...profile.detection.codeNormalize },
+    descNormalize: { ...DEFAULT_DETECTION.descNormalize, ...profile.detection.descNormalize },
+  };
+}
+
+/** true quando as opcoes atuais ainda sao as do perfil. */
+export function matchesProfile(profile, detection, aggRule, aggBySection) {
+  const current = makeProfile(profile.name, detection, aggRule, aggBySection);
+  const saved = makeProfile(profile.name, profile.detection, profile.aggRule, profile.aggBySection);
+  return JSON.stringify(current) === JSON.stringify(saved);
+}
+
+function fail(name, msg) {
+  throw new Error(`Perfil ${name ? `"${name}" ` : ""}invalido: ${msg}`);
+}
+
+/**
+ * Confere um perfil lido de JSON/localStorage e completa o que faltar com os padroes.
+ * Lanca Error com a primeira opcao invalida.
+ * @returns {Profile}
+ */
+export function normalizeProfile(raw) {
+  if (!raw || typeof raw !== "object") fail("", "esperado um objeto");
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) fail("", "falta o nome");
+
+  const d = { ...DEFAULT_DETECTION, ...(raw.detection ?? {}) };
+  if (!Array.isArray(d.keywords) || d.keywords.some((k) => typeof k !== "string")) {
+    fail(name, "keywords deve ser uma lista de textos");
+  }
+  if (!["exact", "contains"].includes(d.matchMode)) fail(name, `matchMode desconhecido (${d.matchMode})`);
+  if (!Number.isInteger(d.headerRows) || d.headerRows < 1 || d.headerRows > 10) fail(name, "headerRows deve ir de 1 a 10");
+  if (!["accept", "original"].includes(d.revisions)) fail(name, `revisions desconhecido (${d.revisions})`);
+  ["headerFooter", "textBoxes", "ndAsEmpty"].forEach((k) => {
+    if (typeof d[k] !== "boolean") fail(name, `${k} deve ser true ou false`);
+  });
+  if (typeof d.sectionPattern !== "string" || typeof d.codePattern !== "string") fail(name, "padroes devem ser texto");
+  if (!Array.isArray(d.codePresets)) fail(name, "codePresets deve ser uma lista");
+  ["codeNormalize", "descNormalize"].forEach((group) => {
+    if (!d[group] || typeof d[group] !== "object") fail(name, `${group} deve ser um objeto`);
+    d[group] = { ...DEFAULT_DETECTION[group], ...d[group] };
+    Object.entries(d[group]).forEach(([k, v]) => {
+      if (!(k in DEFAULT_DETECTION[group])) fail(name, `opcao desconhecida em ${group} (${k})`);
+      if (typeof v !== "boolean") fail(name, `${group}.${k} deve ser true ou false`);
+    });
+  });
+  if (!d.columns || typeof d.columns !== "object" || Array.isArray(d.columns)) fail(name, "columns deve ser um objeto");
+  Object.entries(d.columns).forEach(([field, col]) => {
+    if (!COLUMN_FIELDS.some((f) => f.field === field)) fail(name, `coluna desconhecida (${field})`);
+    if (!Number.isInteger(col) || col < 0) fail(name, `posicao invalida para ${field}`);
+  });
+  try {
+    compileKeywordMatchers(d);
+    compileSectionMatcher(d.sectionPattern);
+    compileCodeMatcher(d);
+  } catch (err) {
+    fail(name, err?.message ?? String(err));
+  }
+
+  const aggRule = raw.aggRule ?? AGG_RULES[0].v;
+  if (!AGG_RULES.some((r) => r.v === aggRule)) fail(name, `regra de consolidacao desconhecida (${aggRule})`);
+
+  return makeProfile(name, d, aggRule, raw.aggBySection);
+}
+
+/** JSON para compartilhar perfis. */
+export function profilesJson(profiles) {
+  return JSON.stringify({ formato: PROFILE_FORMAT, versao: PROFILE_VERSION, perfis: profiles }, null, 2);
+}
+
+/**
+ * Le perfis de um JSON exportado (`{ formato, perfis }`), de uma lista ou de um perfil solto.
+ * @returns {Profile[]}
+ */
+export function parseProfilesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ""));
+  } catch {
+    throw new Error("Arquivo de perfis nao e um JSON valido.");
+  }
+  if (data && typeof data === "object" && "formato" in data && data.formato !== PROFILE_FORMAT) {
+    throw new Error(`Formato de perfis desconhecido: ${data.formato}`);
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.perfis) ? data.perfis : [data];
+  if (!list.length) throw new Error("Nenhum perfil no arquivo.");
+  return list.map(normalizeProfile);
+}
+
+/** Texto do perfil ativo para log e resumo. */
+export function describeProfile(profile, modified) {
+  if (!profile) return "(nenhum)";
+  return `${profile.name}${modified ? " (alterado depois de aplicado)" : ""}`;
+}
@@ -0,0 +1,124 @@
+import { describe, expect, it } from "vitest";
+import { aggregateItems, buildMatrix, consolidatedItems, describeConflicts } from "../src/core/aggregate.js";
+
+const items = [
+  { codigo: "1.1", descricao: "Tubo PVC", unidade: "m", quantidade_raw: "10", quantidade: 10, secao: "Bloco A" },
+  { codigo: "1.1", descricao: "Tubo PVC", unidade: "m", quantidade_raw: "2,5", quantidade: 2.5, secao: "Bloco B" },
+  { codigo: "1.1", descricao: "tubo pvc ", unidade: "", quantidade_raw: "1", quantidade: 1, secao: "Bloco B" },
+  { codigo: "1.2", descricao: "Joelho", unidade: "un", quantidade_raw: "4", quantidade: 4, total: 20, secao: "Bloco A" },
+  { codigo: "1.3", descricao: "Luva", unidade: "un", quantidade_raw: "3", quantidade: NaN, secao: "Bloco A" },
+];
+
+describe("aggregateItems", () => {
+  it("soma por codigo + descricao", () => {
+    expect(aggregateItems(items, "code_desc")).toMatchSnapshot();
+  });
+
+  it("soma so por codigo", () => {
+    const rows = aggregateItems(items, "code_only");
+    expect(rows.find((r) => r.codigo === "1.1").quantidade).toBe(13.5);
+    expect(rows).toMatchSnapshot();
+  });
+
+  it("soma por descricao", () => {
+    expect(aggregateItems(items, "desc_only").map((r) => r.descricao)).toEqual(["Joelho", "Luva", "Tubo PVC"]);
+  });
+
+  it("soma codigos escritos de formas diferentes quando normaliza", () => {
+    const list = [
+      { codigo: "02.01.005", descricao: "Tubo", quantidade_raw: "1", quantidade: 1 },
+      { codigo: "2.1.5", descricao: "Tubo", quantidade_raw: "2", quantidade: 2 },
+    ];
+    expect(aggregateItems(list, "code_only")).toHaveLength(2);
+    expect(aggregateItems(list, "code_only", { codeNormalize: { zeros: true } })).toMatchObject([
+      { codigo: "02.01.005", quantidade: 3 },
+    ]);
+  });
+
+  it("soma descricoes com grafias diferentes quando normaliza", () => {
+    const list = [
+      { codigo: "7.1", descricao: "Concreto  fck 25", unidade: "m3", quantidade: 1, origem: "T1/L2", arquivo: "a.docx" },
+      { codigo: "7.1", descricao: "Concreto fck25 ", unidade: "m3", quantidade: 2, origem: "T1/L5", arquivo: "a.docx" },
+      { codigo: "7.1", descricao: "Concreto, fck 25", unidade: "m3", quantidade: 4, origem: "T2/L3", arquivo: "b.docx" },
+    ];
+    expect(aggregateItems(list, "code_desc")).toHaveLength(3);
+    const rows = aggregateItems(list, "code_desc", { descNormalize: { punctuation: true, spaces: true } });
+    expect(rows).toMatchObject([
+      {
+        quantidade: 7,
+        linhas: 3,
+        origens: ["a.docx T1/L2", "a.docx T1/L5", "b.docx T2/L3"],
+        conflitos: [],
+      },
+    ]);
+  });
+
+  it("aponta conflito de descricao e unidade na mesma chave", () => {
+    const rows = aggregateItems(
+      [
+        { codigo: "8.1", descricao: "Tubo PVC", unidade: "m", quantidade: 1, origem: "T1/L2" },
+        { codigo: "8.1", descricao: "Tubo soldavel", unidade: "un", quantidade: 1, origem: "T1/L3" },
+        { codigo: "8.1", descricao: "Tubo soldavel", unidade: "M", quantidade: 1, origem: "T1/L4" },
+      ],
+      "code_only"
+    );
+    expect(rows[0].descricao).toBe("Tubo soldavel");
+    expect(rows[0].unidade).toBe("m");
+    expect(describeConflicts(rows[0].conflitos)).toBe("descricao: Tubo PVC | Tubo soldavel; unidade: m | un");
+  });
+
+  it("separa os totais por secao", () => {
+    expect(aggregateItems(items, "code_only", { bySection: true })).toMatchSnapshot();
+  });
+
+  it("deixa fora da soma a quantidade que nao foi lida", () => {
+    const rows = aggregateItems(
+      [...items, { codigo: "1.2", descricao: "Joelho", quantidade_raw: "1.500", quantidade: NaN }],
+      "code_only"
+    );
+    const joelho = rows.find((r) => r.codigo === "1.2");
+    expect([joelho.quantidade, joelho.qtd_pendentes]).toEqual([4, 1]);
+    expect(consolidatedItems(rows, "code_only", null).find((r) => r.codigo === "1.2").quantidade_aviso).toBe(
+      "1 quantidade(s) nao lida(s) fora da soma"
+    );
+  });
+
+  it("le a quantidade do texto quando o numero nao veio", () => {
+    const luva = aggregateItems(items, "code_only").find((r) => r.codigo === "1.3");
+    expect(luva.quantidade).toBe(3);
+  });
+});
+
+describe("consolidatedItems", () => {
+  it("formata a quantidade como no documento", () => {
+    const rows = consolidatedItems(aggregateItems(items, "code_only"), "code_only", null);
+    expect(rows.map((r) => r.quantidade_raw)).toEqual(["13,5", "4", "3"]);
+  });
+});
+
+describe("buildMatrix", () => {
+  const located = [
+    { codigo: "1.1", descricao: "Tubo", unidade: "m", quantidade: 2, origem: "T1/L2", secao: "Terreo", arquivo: "a.docx" },
+    { codigo: "1.2", descricao: "Joelho", unidade: "un", quantidade: 1, origem: "T1/L3", secao: "Terreo", arquivo: "a.docx" },
+    { codigo: "1.1", descricao: "Tubo", unidade: "m", quantidade: 3, origem: "T2/L2", secao: "Superior", arquivo: "a.docx" },
+    { codigo: "1.1", descricao: "Tubo", unidade: "m", quantidade: 1, origem: "T2/L4", secao: "Superior", arquivo: "a.docx" },
+    { codigo: "1.2", descricao: "Joelho", quantidade_raw: "1.500", quantidade: NaN, origem: "T2/L5", arquivo: "a.docx" },
+  ];
+
+  it("coloca uma coluna por tabela, na ordem do documento", () => {
+    expect(buildMatrix(located, "code_only", "tabela")).toMatchSnapshot();
+  });
+
+  it("agrupa por secao e totaliza a linha", () => {
+    const { columns, rows } = buildMatrix(located, "code_desc", "secao");
+    expect(columns).toEqual(["Terreo", "Superior", "(sem secao)"]);
+    expect(rows.map((r) => [r.codigo, r.celulas, r.total, r.qtd_pendentes])).toEqual([
+      ["1.1", { Terreo: 2, Superior: 4 }, 6, 0],
+      ["1.2", { Terreo: 1 }, 1, 1],
+    ]);
+  });
+
+  it("recusa dimensao desconhecida", () => {
+    expect(() => buildMatrix(located, "code_only", "pavimento")).toThrow(/Dimensao da matriz/);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import JSZip from "jszip";
+import { buildDocx, paragraph, table } from "./fixtures/docx.js";
+import { buildOdt, odtTable } from "./fixtures/odt.js";
+import { ANNOTATION_FILLS, annotateDocx, annotatedName } from "../src/core/annotate.js";
+import { extractItemsFromDocx, mergeExtractions } from "../src/core/extract.js";
+
+const HEADER = ["Itens", "Descricao", "Unidade", "Quantidade"];
+
+/** Extrai, anota e devolve as partes da copia que os testes conferem. */
+async function annotate(file, detection) {
+  const { items, meta } = await extractItemsFromDocx(file, { detection });
+  const out = await annotateDocx(file, { items, ignored: meta.ignored_details, detection });
+  const zip = await JSZip.loadAsync(out.data);
+  const read = (path) => zip.file(path)?.async("string");
+  return {
+    out,
+    document: await read("word/document.xml"),
+    comments: await read("word/comments.xml"),
+    rels: await read("word/_rels/document.xml.rels"),
+    types: await read("[Content_Types].xml"),
+  };
+}
+
+/** Preenchimentos (w:fill) de cada w:tr do corpo, em ordem. */
+function rowFills(xml) {
+  return Array.from(xml.matchAll(/<w:tr>([\s\S]*?)<\/w:tr>/g), (m) =>
+    Array.from(m[1].matchAll(/w:fill="(\w+)"/g), (f) => f[1])
+  );
+}
+
+describe("annotateDocx", () => {
+  it("sombreia extraidas e ignoradas e comenta o motivo das ignoradas", async () => {
+    const file = await buildDocx([
+      paragraph("Orcamento"),
+      table([HEADER, ["1.1", "Tubo", "m", "2"], ["Obs.", "nota", "", ""], ["1.2", "Joelho", "un", ""]]),
+    ]);
+    const { out, document, comments, rels, types } = await annotate(file);
+
+    const { extraido: ok, ignorado: skip } = ANNOTATION_FILLS;
+    expect(rowFills(document)).toEqual([[], [ok, ok, ok, ok], [skip, skip, skip, skip], [skip, skip, skip, skip]]);
+    expect(out).toMatchObject({ extraidos: 1, ignorados: 2, comentarios: 2 });
+    expect(Array.from(comments.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g), (m) => m[1])).toEqual([
+      "skip_code_invalid: Codigo fora do padrao (Obs.)",
+      "skip_qty_empty_or_ND: Quantidade vazia ou #N/D (1.2)",
+    ]);
+    expect(document).toContain('<w:commentRangeStart w:id="0"/><w:r><w:t xml:space="preserve">Obs.</w:t></w:r><w:commentRangeEnd w:id="0"/>');
+    expect(rels).toContain('Target="comments.xml"');
+    expect(types).toContain('<Override PartName="/word/comments.xml"');
+  });
+
+  it("poe w:shd na ordem do esquema e continua os ids de comentarios existentes", async () => {
+    const vAlignRow = `<w:tr><w:tc><w:tcPr><w:tcW w:w="900"/><w:vAlign w:val="center"/></w:tcPr>${paragraph("x")}</w:tc><w:tc>${paragraph("Tubo")}</w:tc></w:tr>`;
+    const headerRow = `<w:tr><w:tc>${paragraph("Itens")}</w:tc><w:tc>${paragraph("Descricao")}</w:tc></w:tr>`;
+    const file = await buildDocx([`<w:tbl>${headerRow}${vAlignRow}</w:tbl>`], {
+      parts: {
+        "word/comments.xml": `<w:comments xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:comment w:id="7"><w:p/></w:comment></w:comments>`,
+      },
+    });
+    const { document, comments } = await annotate(file);
+
+    expect(document).toContain('<w:tcPr><w:tcW w:w="900"/><w:shd w:val="clear" w:color="auto" w:fill="FFEB9C"/><w:vAlign w:val="center"/></w:tcPr>');
+    expect(document).toContain('<w:commentRangeStart w:id="8"/>');
+    expect(Array.from(comments.matchAll(/<w:comment w:id="(\d+)"/g), (m) => m[1])).toEqual(["7", "8"]);
+  });
+
+  it("separa arquivos de mesmo nome pelo caminho relativo", async () => {
+    const docx = async (rows, path) => new File([await (await buildDocx([table([HEADER, ...rows])])).arrayBuffer()], path);
+    const files = [
+      await docx([["1.1", "Tubo", "m", "2"], ["1.2", "Joelho", "un", ""]], "obra1/orcamento.docx"),
+      await docx([["1.1", "Tubo", "m", "2"], ["1.2", "Joelho", "un", "3"]], "obra2/orcamento.docx"),
+    ];
+    const runs = await Promise.all(files.map(async (f) => ({ name: f.name, ...(await extractItemsFromDocx(f)) })));
+    const { items, meta } = mergeExtractions(runs);
+    const result = { items, ignored: meta.ignored_details };
+
+    expect(await annotateDocx(files[0], result)).toMatchObject({ extraidos: 1, ignorados: 1 });
+    expect(await annotateDocx(files[1], result)).toMatchObject({ extraidos: 2, ignorados: 0 });
+    expect(files.map((f) => annotatedName(f.name))).toEqual(["anotado_obra1_orcamento.docx", "anotado_obra2_orcamento.docx"]);
+    expect(annotatedName("Modelo.dotx")).toBe("anotado_Modelo.dotx");
+  });
+
+  it("recusa arquivo que nao e DOCX", async () => {
+    const file = await buildOdt([odtTable([HEADER, ["1.1", "Tubo", "m", "2"]])]);
+    const err = await annotateDocx(file, { items: [], ignored: [] }).catch((e) => e);
+    expect(err.code).toBe("sem_document_xml");
+  });
+});
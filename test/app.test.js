@@ -0,0 +1,35 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createElement } from "react";
+import { renderToString } from "react-dom/server";
+import App from "../src/App.jsx";
+import { DEFAULT_DETECTION } from "../src/core/extract.js";
+import { makeProfile } from "../src/core/profiles.js";
+
+/** localStorage em memoria (os testes rodam no Node, sem DOM). */
+function memoryStorage(entries) {
+  const data = new Map(Object.entries(entries));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+describe("tela", () => {
+  beforeEach(() => {
+    const perfil = makeProfile("Cliente X", { ...DEFAULT_DETECTION, keywords: ["item"] }, "code_only", true);
+    globalThis.localStorage = memoryStorage({
+      "extrator-docx:perfis": JSON.stringify([perfil]),
+      "extrator-docx:perfil-ativo": "Cliente X",
+    });
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  it("abre com o perfil ativo salvo", () => {
+    const html = renderToString(createElement(App));
+    expect(html).toContain("Cliente X");
+  });
+});
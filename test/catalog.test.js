@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { applyCatalog, indexCatalog, readCatalogFile } from "../src/core/catalog.js";
+import { consolidatedItems } from "../src/core/aggregate.js";
+
+const CSV = "Codigo;Descri\u00E7\u00E3o;Unidade;Pre\u00E7o\n1.1;Tubo de a\u00E7o;m;10,50\n";
+
+/** Bytes em windows-1252 (um byte por caractere, todos ate U+00FF). */
+function latin1Bytes(text) {
+  return Uint8Array.from(text, (c) => c.charCodeAt(0));
+}
+
+describe("readCatalogFile", () => {
+  it("le CSV em UTF-8", async () => {
+    const catalog = await readCatalogFile(new File([new TextEncoder().encode(CSV)], "ref.csv"));
+    expect(catalog.entries).toEqual([["1.1", "Tubo de a\u00E7o", "m", 10.5]]);
+  });
+
+  it("le CSV do Excel em windows-1252", async () => {
+    const catalog = await readCatalogFile(new File([latin1Bytes(CSV)], "ref.csv"));
+    expect(catalog.entries).toEqual([["1.1", "Tubo de a\u00E7o", "m", 10.5]]);
+  });
+
+  it("respeita o BOM UTF-8", async () => {
+    const bom = new Uint8Array([0xef, 0xbb, 0xbf]);
+    const catalog = await readCatalogFile(new File([bom, new TextEncoder().encode(CSV)], "ref.txt"));
+    expect(catalog.entries[0][1]).toBe("Tubo de a\u00E7o");
+  });
+});
+
+describe("applyCatalog", () => {
+  const catalog = { name: "ref.csv", importedAt: "", entries: [["2.1.5", "Tubo PVC", "m", 12]] };
+  const items = [{ codigo: "02.01.005", descricao: "Tubo PVC", quantidade: 1 }];
+
+  it("acha o codigo com a normalizacao ativa", () => {
+    expect(applyCatalog(items, indexCatalog(catalog))[0].catalogo_status).toBe("ausente");
+
+    const options = { codeNormalize: { zeros: true } };
+    expect(applyCatalog(items, indexCatalog(catalog, options), options)[0]).toMatchObject({
+      catalogo_status: "ok",
+      catalogo_preco: 12,
+    });
+  });
+
+  it("usa a mesma normalizacao no consolidado", () => {
+    const options = { codeNormalize: { zeros: true } };
+    const rows = [{ codigo: "02.01.005", descricao: "Tubo PVC", unidade: "m", quantidade: 1, total: NaN }];
+    expect(consolidatedItems(rows, "code_only", indexCatalog(catalog, options), options)[0].catalogo_status).toBe("ok");
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import * as XLSX from "xlsx";
+import { diffItems } from "../src/core/compare.js";
+import { buildDiffWorkbook } from "../src/core/export.js";
+
+const item = (codigo, descricao, quantidade, extra = {}) => ({
+  codigo,
+  descricao,
+  unidade: "un",
+  quantidade_raw: String(quantidade),
+  quantidade,
+  origem: "T1/L2",
+  ...extra,
+});
+
+describe("diffItems", () => {
+  it("separa incluidos, removidos e quantidades alteradas", () => {
+    const before = [item("1.1", "Tubo", 10), item("1.2", "Joelho", 4), item("1.2", "Joelho", 1)];
+    const after = [item("1.1", "Tubo", 12), item("1.3", "Luva", 2)];
+    const report = diffItems(before, after, "code_desc");
+
+    expect(report.added.map((x) => x.codigo)).toEqual(["1.3"]);
+    expect(report.removed).toMatchObject([{ codigo: "1.2", quantidade: 5, origens: ["T1/L2", "T1/L2"] }]);
+    expect(report.qtyChanged).toMatchObject([{ codigo: "1.1", antes: 10, depois: 12, delta: 2, pct: 20 }]);
+    expect(report.qtyPending).toEqual([]);
+  });
+
+  it("trata codigo com outro texto como mudanca de descricao", () => {
+    const report = diffItems([item("1.1", "Tubo PVC", 3)], [item("1.1", "Tubo soldavel", 5)], "code_desc");
+    expect(report.added).toEqual([]);
+    expect(report.removed).toEqual([]);
+    expect(report.descChanged).toMatchObject([{ codigo: "1.1", antes: "Tubo PVC", depois: "Tubo soldavel" }]);
+    expect(report.qtyChanged).toMatchObject([{ antes: 3, depois: 5 }]);
+  });
+
+  it("casa codigos pela normalizacao ativa", () => {
+    const before = [item("02.01.005", "Tubo PVC", 3)];
+    const after = [item("2.1.5", "Tubo soldavel", 3)];
+
+    expect(diffItems(before, after, "code_desc").descChanged).toEqual([]);
+
+    const report = diffItems(before, after, "code_desc", { codeNormalize: { zeros: true } });
+    expect(report.added).toEqual([]);
+    expect(report.removed).toEqual([]);
+    expect(report.descChanged).toMatchObject([{ antes: "Tubo PVC", depois: "Tubo soldavel" }]);
+  });
+
+  it("nao compara soma com quantidade nao lida", () => {
+    const before = [item("1.1", "Tubo", 10), item("1.1", "Tubo", NaN, { quantidade_raw: "ver projeto" })];
+    const after = [item("1.1", "Tubo", 10), item("1.1", "Tubo", 2)];
+    const report = diffItems(before, after, "code_only");
+
+    expect(report.qtyChanged).toEqual([]);
+    expect(report.qtyPending).toMatchObject([{ codigo: "1.1", antes: 10, depois: 12, pend_antes: 1, pend_depois: 0 }]);
+  });
+
+  it("le a quantidade do texto quando o numero nao veio", () => {
+    const before = [item("1.1", "Tubo", undefined, { quantidade_raw: "2,5" })];
+    const report = diffItems(before, [item("1.1", "Tubo", 2.5)], "code_only");
+    expect(report.qtyPending).toEqual([]);
+    expect(report.qtyChanged).toEqual([]);
+  });
+});
+
+describe("buildDiffWorkbook", () => {
+  it("cria uma aba por tipo de mudanca, mesmo vazia", () => {
+    const report = diffItems([item("1.1", "Tubo", 10)], [item("1.1", "Tubo", 12)], "code_only");
+    const wb = buildDiffWorkbook(report);
+
+    expect(wb.SheetNames).toEqual([
+      "Adicionados",
+      "Removidos",
+      "Quantidade alterada",
+      "Quantidade nao lida",
+      "Descricao alterada",
+    ]);
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets["Quantidade alterada"], { header: 1 });
+    expect(rows[1]).toEqual(["1.1", "Tubo", "un", 10, 12, 2, 0.2]);
+  });
+});
@@ -0,0 +1,419 @@
+import { describe, expect, it } from "vitest";
+import { buildDocx, paragraph, table } from "./fixtures/docx.js";
+import { buildHtml, buildOdt, odtHeading, odtTable } from "./fixtures/odt.js";
+import {
+  CLIPBOARD_NAME,
+  DEFAULT_DETECTION,
+  DocxError,
+  clipboardFile,
+  compileCodeMatcher,
+  extractItemsFromDocx,
+  isInputName,
+  itemFromIgnored,
+  listDocxTables,
+  mergeExtractions,
+  normalizeCode,
+  parseTsv,
+  parsePtNumber,
+  parseQuantity,
+  pickQuantityFromRow,
+} from "../src/core/extract.js";
+
+const HEADER = ["Itens", "Descricao", "Unidade", "Quantidade"];
+
+/** Itens e meta sem o mapeamento completo, para snapshots curtos. */
+async function extract(body, options) {
+  const { items, meta } = await extractItemsFromDocx(await buildDocx(body), options);
+  return { items, meta: { ...meta, mappings: meta.mappings.map((m) => m.key) } };
+}
+
+describe("parsePtNumber", () => {
+  it.each([
+    ["12", 12],
+    ["2,5", 2.5],
+    ["1.234", 1234],
+    ["1.234,56", 1234.56],
+    ["12.345.678,9", 12345678.9],
+    ["  7  ", 7],
+    ["1.5", 1.5],
+    ["R$ 1.200,00", 1200],
+  ])("le %j como %d", (raw, value) => {
+    expect(parsePtNumber(raw)).toBe(value);
+  });
+
+  it.each(["", "#N/D", "abc", null, undefined])("devolve NaN para %j", (raw) => {
+    expect(parsePtNumber(raw)).toBeNaN();
+  });
+});
+
+describe("parseQuantity", () => {
+  it.each([
+    ["12,5", 12.5, ""],
+    ["1,234.5", 1234.5, ""],
+    ["1.234.567", 1234567, ""],
+    ["0,500", 0.5, ""],
+    ["1234,567", 1234.567, ""],
+    ["1 234,5", 1234.5, ""],
+    ["12,5 m\u00B2", 12.5, "m\u00B2"],
+    ["3 un", 3, "un"],
+    ["R$ 1.200,00", 1200, ""],
+    ["(1,5)", -1.5, ""],
+    ["-2", -2, ""],
+    ["15%", 0.15, "%"],
+  ])("le %j", (raw, value, unit) => {
+    expect(parseQuantity(raw)).toEqual({ value, unit, percent: unit === "%", warning: "" });
+  });
+
+  it.each(["1.500", "1,500"])("nao adivinha %j", (raw) => {
+    const q = parseQuantity(raw);
+    expect(q.value).toBeNaN();
+    expect(q.warning).toBe(`"${raw}" ambiguo: 1.500 (milhar) ou 1,5 (decimal)`);
+  });
+
+  it.each(["abc", "12 x 3", "1.2.3", ""])("avisa quando %j nao e numero", (raw) => {
+    const q = parseQuantity(raw);
+    expect(q.value).toBeNaN();
+    expect(q.warning).not.toBe("");
+  });
+});
+
+describe("normalizeCode", () => {
+  it.each([
+    ["02.01.005", { zeros: true }, "2.1.5"],
+    ["SINAPI-094965", { zeros: true, separators: true }, "sinapi.94965"],
+    ["CPOS 12/01/010", { separators: true }, "cpos.12.01.010"],
+    [" A-01 ", {}, "a-01"],
+  ])("normaliza %j", (code, options, expected) => {
+    expect(normalizeCode(code, options)).toBe(expected);
+  });
+});
+
+describe("pickQuantityFromRow", () => {
+  const mapped = { quantidade: 3, source: "cabecalho" };
+  const positional = { quantidade: 2, source: "padrao" };
+
+  it("usa a coluna mapeada", () => {
+    expect(pickQuantityFromRow(["1.1", "Tubo 20 mm", "m", "1.250,5"], mapped)).toBe("1.250,5");
+  });
+
+  it("nao procura numero fora da coluna mapeada quando ha cabecalho", () => {
+    expect(pickQuantityFromRow(["1.1", "Tubo 20 mm", "m", "#N/D"], mapped)).toBe("");
+    expect(pickQuantityFromRow(["1.1", "Tubo 20 mm", "m", ""], mapped)).toBe("");
+  });
+
+  it("mantem #N/D quando nao conta como vazio", () => {
+    expect(pickQuantityFromRow(["1.1", "Tubo", "m", "#N/D"], mapped, false)).toBe("#N/D");
+  });
+
+  it("sem cabecalho cai no primeiro numero da linha", () => {
+    expect(pickQuantityFromRow(["A", "Tubo", "#N/D", "3,5"], positional)).toBe("3,5");
+    expect(pickQuantityFromRow(["A", "Caixa 1.200,00 un"], positional)).toBe("1.200,00");
+  });
+});
+
+describe("extractItemsFromDocx", () => {
+  it("extrai a tabela Itens e ignora as demais", async () => {
+    const result = await extract([
+      paragraph("Orcamento"),
+      table([
+        ["Resumo", "Valor"],
+        ["1", "10"],
+      ]),
+      table([HEADER, ["1.1", "Tubo PVC 20 mm", "m", "12,5"], ["1.2", "Joelho 90", "un", "4"]]),
+    ]);
+    expect(result).toMatchSnapshot();
+  });
+
+  it("trata celulas mescladas (gridSpan e vMerge)", async () => {
+    const result = await extract([
+      table([
+        HEADER,
+        ["2.1", { text: "Cabo 2,5 mm", vMerge: "restart" }, "m", "100"],
+        ["2.2", { vMerge: "continue" }, "m", "50"],
+        [{ text: "Subtotal", span: 3 }, "150"],
+      ]),
+    ]);
+    expect(result.items.map((it) => [it.codigo, it.descricao, it.quantidade])).toEqual([
+      ["2.1", "Cabo 2,5 mm", 100],
+      ["2.2", "Cabo 2,5 mm", 50],
+    ]);
+    expect(result).toMatchSnapshot();
+  });
+
+  it("registra #N/D e codigos invalidos como linhas ignoradas", async () => {
+    const result = await extract([
+      table([
+        HEADER,
+        ["#N/D", "Sem codigo", "un", "1"],
+        ["3.1", "Sem quantidade", "un", "#N/D"],
+        ["3.2", "Quantidade vazia", "un", ""],
+        ["obs", "Nota de rodape", "", ""],
+        ["3.3", "Valida", "un", "2"],
+      ]),
+    ]);
+    expect(result.meta.ignored_details.map((d) => d.motivo)).toEqual([
+      "skip_code_empty_or_ND",
+      "skip_qty_empty_or_ND",
+      "skip_qty_empty_or_ND",
+      "skip_code_invalid",
+    ]);
+    expect(result).toMatchSnapshot();
+  });
+
+  it("le separadores de milhar e decimais pt-BR", async () => {
+    const result = await extract([
+      table([
+        ["Itens", "Descricao", "Unidade", "Quantidade", "Preco unitario", "Total"],
+        ["4.1", "Concreto", "m3", "1.234,5", "1.000,00", "1.234.500,00"],
+        ["4.2", "Aco", "kg", "12.000,0", "8,50", "100.000,00"],
+      ]),
+    ]);
+    expect(result.items.map((it) => [it.quantidade, it.preco_unit, it.total, it.total_diverge])).toEqual([
+      [1234.5, 1000, 1234500, false],
+      [12000, 8.5, 100000, true],
+    ]);
+    expect(result).toMatchSnapshot();
+  });
+
+  it("marca quantidade ambigua e le a unidade escrita na celula", async () => {
+    const { items, meta } = await extract([
+      table([
+        ["Itens", "Descricao", "Quantidade"],
+        ["6.1", "Piso", "12,5 m\u00B2"],
+        ["6.2", "Rodape", "1.500"],
+      ]),
+    ]);
+    expect(items.map((it) => [it.unidade, it.quantidade])).toEqual([
+      ["m\u00B2", 12.5],
+      [undefined, NaN],
+    ]);
+    expect(items[1].quantidade_aviso).toMatch(/ambiguo/);
+    expect(meta.qty_warnings).toBe(1);
+  });
+
+  it("no empate de nomes de coluna fica com o primeiro cabecalho", async () => {
+    const { items, meta } = await extractItemsFromDocx(
+      await buildDocx([
+        table([
+          HEADER,
+          ["Servico", "Qtde", "Un", "Total"],
+          ["7.1", "Escavacao", "m3", "12,5"],
+        ]),
+      ])
+    );
+    expect(meta.mappings[0].mapping).toMatchObject({ headerRow: 0, codigo: 0, descricao: 1, unidade: 2, quantidade: 3 });
+    expect(items.map((it) => [it.codigo, it.descricao, it.quantidade])).toEqual([["7.1", "Escavacao", 12.5]]);
+  });
+
+  it("le tabelas aninhadas como tabelas proprias", async () => {
+    const inner = table([HEADER, ["5.1", "Luminaria", "un", "8"]]);
+    const result = await extract([
+      table([
+        ["Bloco", "Conteudo"],
+        ["A", { text: "Ver itens", nested: inner }],
+      ]),
+    ]);
+    expect(result.items).toHaveLength(1);
+    expect(result.items[0].descricao).toBe("Luminaria");
+    expect(result).toMatchSnapshot();
+  });
+
+  it("aceita padrao de codigo, #N/D como valor e colunas fixas", async () => {
+    const body = [
+      table([
+        ["Itens", "Qtd", "Descricao"],
+        ["AB-01", "2", "Placa"],
+        ["AB-02", "#N/D", "Suporte"],
+        ["17.4", "1", "Fora do padrao"],
+      ]),
+    ];
+    const { items, meta } = await extract(body, {
+      detection: {
+        codePattern: "/^[A-Z]{2}-\\d+$/",
+        ndAsEmpty: false,
+        columns: { descricao: 2, quantidade: 1 },
+      },
+    });
+    expect(items.map((it) => [it.codigo, it.descricao, it.quantidade_raw])).toEqual([
+      ["AB-01", "Placa", "2"],
+      ["AB-02", "Suporte", "#N/D"],
+    ]);
+    expect(items[1].quantidade).toBeNaN();
+    expect(meta.ignored_details.map((d) => [d.motivo, d.valor])).toEqual([["skip_code_invalid", "17.4"]]);
+  });
+
+  it("aceita presets de codigo e guarda o padrao casado", async () => {
+    const codes = ["1.2.3", "02.01.005", "SINAPI-94965", "CPOS 12.01.010", "C-1234", "17.4", "Obs."];
+    const { items, meta } = await extract([table([HEADER, ...codes.map((c) => [c, `Item ${c}`, "un", "1"])])], {
+      detection: { codePresets: ["hierarquico", "sinapi", "cpos", "letra_numero"] },
+    });
+    expect(items.map((it) => [it.codigo, it.codigo_padrao])).toEqual([
+      ["1.2.3", "Hierarquico"],
+      ["02.01.005", "Hierarquico"],
+      ["SINAPI-94965", "SINAPI"],
+      ["CPOS 12.01.010", "CPOS/CDHU"],
+      ["C-1234", "Letra + numero"],
+      ["17.4", "Hierarquico"],
+    ]);
+    expect(meta.ignored_details.map((d) => d.valor)).toEqual(["Obs."]);
+  });
+
+  it("falha com config_invalida para padrao de codigo invalido", async () => {
+    const err = await extract([], { detection: { codePattern: "([" } }).catch((e) => e);
+    expect(err.code).toBe("config_invalida");
+  });
+
+  it("falha com sem_document_xml quando o pacote nao tem word/document.xml", async () => {
+    const file = await buildDocx([], { withoutDocument: true });
+    const err = await extractItemsFromDocx(file).catch((e) => e);
+    expect(err).toBeInstanceOf(DocxError);
+    expect(err.code).toBe("sem_document_xml");
+  });
+
+  it("falha com zip_invalido para arquivo que nao e zip", async () => {
+    const err = await extractItemsFromDocx(new File(["texto"], "ruim.docx")).catch((e) => e);
+    expect(err.code).toBe("zip_invalido");
+  });
+});
+
+describe("adaptadores de entrada", () => {
+  it("le ODT com titulo como secao e celulas mescladas como no DOCX", async () => {
+    const file = await buildOdt([
+      odtHeading("Fundacao"),
+      odtTable([
+        HEADER,
+        [{ text: "1.1", rows: 2 }, "Tubo", "m", "2,5"],
+        [{ covered: true }, "Tubo", "m", "3"],
+        [{ text: "Observacao", span: 4 }, { covered: true }, { covered: true }, { covered: true }],
+      ]),
+    ]);
+    const { items, meta } = await extractItemsFromDocx(file);
+    expect(meta.formato).toBe("odt");
+    expect(items.map((it) => [it.codigo, it.quantidade, it.secao, it.origem])).toEqual([
+      ["1.1", 2.5, "Fundacao", "T1/L2"],
+      ["1.1", 3, "Fundacao", "T1/L3"],
+    ]);
+    expect(meta.ignored_details.map((d) => [d.motivo, d.celulas])).toEqual([
+      ["skip_code_invalid", ["Observacao", "", "", ""]],
+    ]);
+  });
+
+  it("le HTML com rowspan, colspan, entidades e </td> implicito", async () => {
+    const file = buildHtml(`
+      <h2>Instala&ccedil;&otilde;es</h2>
+      <table border="1">
+        <tr><th>Itens<th>Descricao<th>Unidade<th>Quantidade
+        <tr><td rowspan="2">2.1<td>Cabo&nbsp;2,5&nbsp;mm&sup2;<td>m<td>1.234,5</tr>
+        <tr><td>Cabo<br>flex&iacute;vel</td><td>m</td><td>10</td></tr>
+        <tr><td colspan="3">Total</td><td>1.244,5</td></tr>
+      </table>`);
+    const { items, meta } = await extractItemsFromDocx(file);
+    expect(meta.formato).toBe("html");
+    expect(items.map((it) => [it.codigo, it.descricao, it.quantidade, it.secao])).toEqual([
+      ["2.1", "Cabo 2,5 mm\u00B2", 1234.5, "Instala\u00E7\u00F5es"],
+      ["2.1", "Cabo flex\u00EDvel", 10, "Instala\u00E7\u00F5es"],
+    ]);
+  });
+
+  it("escolhe o adaptador pelo conteudo, nao pela extensao", async () => {
+    const docm = await buildDocx([table([HEADER, ["1.1", "Tubo", "m", "2"]])], { name: "macro.docm" });
+    const html = new File([await buildHtml(`<table><tr><td>Itens<td>Qtd<tr><td>3.1<td>4</table>`).text()], "exportado.docx");
+    expect((await extractItemsFromDocx(docm)).meta.formato).toBe("docx");
+    const { items, meta } = await extractItemsFromDocx(html);
+    expect(meta.formato).toBe("html");
+    expect(items.map((it) => it.quantidade)).toEqual([4]);
+    expect((await listDocxTables(html)).map((t) => [t.key, t.autoMatch])).toEqual([["exportado.docx#T1", true]]);
+  });
+
+  it("aceita as extensoes de DOCX, ODT e HTML", () => {
+    expect(["a.docx", "b.DOCM", "c.dotx", "d.odt", "e.htm", "f.html"].every(isInputName)).toBe(true);
+    expect(["g.doc", "h.pdf", "~$i.docx"].some(isInputName)).toBe(false);
+  });
+});
+
+describe("tabela colada", () => {
+  it("separa o TSV do Excel respeitando campos entre aspas", () => {
+    expect(parseTsv('a\t"b\tc"\r\n"linha\n""2"""\t3\r\n')).toEqual([
+      ["a", "b\tc"],
+      ['linha\n"2"', "3"],
+    ]);
+  });
+
+  it("le TSV colado com origem clipboard e as mesmas regras de linha ignorada", async () => {
+    const file = clipboardFile({ text: 'Itens\tDescricao\tUnidade\tQuantidade\n1.1\t"Tubo\nPVC"\tm\t2,5\n\nx\tObs.\t\t\n' });
+    const { items, meta } = await extractItemsFromDocx(file);
+    expect(file.name).toBe(CLIPBOARD_NAME);
+    expect(meta.formato).toBe("tsv");
+    expect(items.map((it) => [it.codigo, it.descricao, it.quantidade, it.origem, it.arquivo])).toEqual([
+      ["1.1", "Tubo PVC", 2.5, "clipboard:T1/L2", "clipboard"],
+    ]);
+    expect(meta.ignored_details.map((d) => [d.origem, d.motivo])).toEqual([
+      ["clipboard:T1/L3", "skip_empty_row"],
+      ["clipboard:T1/L4", "skip_code_invalid"],
+    ]);
+  });
+
+  it("prefere o HTML colado e ignora o charset declarado pela origem", async () => {
+    const html = '<meta charset="windows-1252"><table><tr><td>Itens<td>Descri\u00E7\u00E3o<td>Qtd<tr><td>3.1<td>Concreto<td>4</table>';
+    const { items, meta } = await extractItemsFromDocx(clipboardFile({ html, text: "ignorado\t1" }));
+    expect(meta.formato).toBe("html");
+    expect(meta.mappings.map((m) => m.key)).toEqual(["clipboard#clipboard:T1"]);
+    expect(items.map((it) => [it.codigo, it.quantidade, it.origem])).toEqual([["3.1", 4, "clipboard:T1/L2"]]);
+  });
+
+  it("falha com sem_tabela quando nada colado tem colunas", () => {
+    expect(() => clipboardFile({ html: "<p>oi</p>", text: "oi" })).toThrow(expect.objectContaining({ code: "sem_tabela" }));
+  });
+});
+
+describe("itemFromIgnored", () => {
+  it("le preco e total da linha incluida e confere o total com a quantidade corrigida", async () => {
+    const { meta } = await extractItemsFromDocx(
+      await buildDocx([
+        table([
+          ["Itens", "Descricao", "Unidade", "Quantidade", "Preco unitario", "Total"],
+          ["4.1", "Concreto", "m3", "#N/D", "100,00", "250,00"],
+          ["4.2", "Aco", "kg", "#N/D", "8,50", "85,00"],
+        ]),
+      ])
+    );
+    const [concreto, aco] = meta.ignored_details;
+    const matcher = compileCodeMatcher(DEFAULT_DETECTION);
+    const promote = (row, quantidade_raw) =>
+      itemFromIgnored(row, { codigo: row.codigo, descricao: row.descricao, quantidade_raw }, meta.mappings, matcher);
+
+    expect(promote(concreto, "2,5")).toMatchObject({
+      codigo: "4.1",
+      codigo_padrao: "Numerico",
+      quantidade: 2.5,
+      unidade: "m3",
+      preco_unit_raw: "100,00",
+      preco_unit: 100,
+      total: 250,
+      total_calc: 250,
+      total_diverge: false,
+      origem: "T1/L2",
+      editado: true,
+    });
+    expect(promote(aco, "12")).toMatchObject({ preco_unit: 8.5, total: 85, total_calc: 102, total_diverge: true });
+  });
+
+  it("sem o mapeamento da tabela fica com a unidade guardada na linha", () => {
+    const row = { arquivo: "a.docx", origem: "T1/L2", linha: 2, celulas: ["1.1", "Tubo", "m", ""], unidade: "m" };
+    const item = itemFromIgnored(row, { codigo: "1.1", descricao: "Tubo", quantidade_raw: "3" }, [], compileCodeMatcher(DEFAULT_DETECTION));
+    expect(item).toMatchObject({ quantidade: 3, unidade: "m", arquivo: "a.docx" });
+    expect(item).not.toHaveProperty("preco_unit");
+  });
+});
+
+describe("mergeExtractions", () => {
+  it("junta arquivos e registra os que falharam", async () => {
+    const ok = await extractItemsFromDocx(await buildDocx([table([HEADER, ["1.1", "Tubo", "m", "2"]])]));
+    const { items, meta } = mergeExtractions([
+      { name: "a.docx", ...ok },
+      { name: "b.docx", error: { code: "sem_document_xml", message: "Nao foi possivel ler word/document.xml do DOCX." } },
+    ]);
+    expect(items).toHaveLength(1);
+    expect(meta.files).toMatchSnapshot();
+  });
+});
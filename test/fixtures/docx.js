@@ -0,0 +1,64 @@
+/**
+ * Monta DOCX em memoria (JSZip) para os testes: so o minimo que o extrator le
+ * (word/document.xml e, quando pedido, outras partes).
+ *
+ *   const file = await buildDocx([paragraph("Orcamento"), table([["Itens", "Descricao", "Qtd"], ["1.1", "Tubo", "2"]])]);
+ */
+
+import JSZip from "jszip";
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/** Paragrafo simples; `style` vira w:pStyle (ex.: "Heading1"). */
+export function paragraph(text, style = "") {
+  const pPr = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : "";
+  return `<w:p>${pPr}<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+}
+
+/**
+ * Celula. Aceita texto ou `{ text, span, vMerge, nested }`:
+ * `span` vira w:gridSpan, `vMerge` ("restart" | "continue") vira w:vMerge e `nested`
+ * e o XML de uma tabela dentro da celula.
+ */
+export function cell(spec) {
+  const c = typeof spec === "object" && spec !== null ? spec : { text: spec };
+  const props = [
+    c.span > 1 ? `<w:gridSpan w:val="${c.span}"/>` : "",
+    c.vMerge === "restart" ? `<w:vMerge w:val="restart"/>` : c.vMerge ? "<w:vMerge/>" : "",
+  ].join("");
+  const text = c.text === undefined || c.text === "" ? "<w:p/>" : paragraph(c.text);
+  return `<w:tc>${props ? `<w:tcPr>${props}</w:tcPr>` : ""}${c.nested ?? ""}${text}</w:tc>`;
+}
+
+/** Tabela a partir de uma matriz de celulas (ver `cell`). */
+export function table(rows) {
+  return `<w:tbl>${rows.map((r) => `<w:tr>${r.map(cell).join("")}</w:tr>`).join("")}</w:tbl>`;
+}
+
+/**
+ * DOCX como `File`, pronto para `extractItemsFromDocx`.
+ * @param {string[]} body blocos de `paragraph` / `table`
+ * @param {{ name?: string; parts?: Record<string, string>; withoutDocument?: boolean }} [options]
+ *   `parts` acrescenta partes ao pacote (ex.: "word/styles.xml"); `withoutDocument` omite word/document.xml.
+ */
+export async function buildDocx(body, options = {}) {
+  const zip = new JSZip();
+  zip.file(
+    "[Content_Types].xml",
+    '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>'
+  );
+  if (!options.withoutDocument) {
+    zip.file(
+      "word/document.xml",
+      `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="${W_NS}"><w:body>${body.join("")}</w:body></w:document>`
+    );
+  }
+  Object.entries(options.parts ?? {}).forEach(([path, xml]) => zip.file(path, xml));
+
+  const bytes = await zip.generateAsync({ type: "uint8array" });
+  return new File([bytes], options.name ?? "fixture.docx");
+}
@@ -0,0 +1,57 @@
+/**
+ * Monta ODT e HTML em memoria para os testes dos adaptadores de entrada.
+ *
+ *   const file = await buildOdt([odtHeading("Fundacao"), odtTable([["Itens", "Descricao", "Qtd"], ["1.1", "Tubo", "2"]])]);
+ */
+
+import JSZip from "jszip";
+
+const NS = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+].join(" ");
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export function odtHeading(text) {
+  return `<text:h text:outline-level="1">${escapeXml(text)}</text:h>`;
+}
+
+/**
+ * Tabela ODT. Celula como texto ou `{ text, span, rows, covered }`: `span`/`rows` viram
+ * number-columns-spanned/number-rows-spanned e `covered` gera table:covered-table-cell.
+ */
+export function odtTable(rows) {
+  const cell = (spec) => {
+    const c = typeof spec === "object" && spec !== null ? spec : { text: spec };
+    if (c.covered) return "<table:covered-table-cell/>";
+    const attrs = [
+      c.span > 1 ? ` table:number-columns-spanned="${c.span}"` : "",
+      c.rows > 1 ? ` table:number-rows-spanned="${c.rows}"` : "",
+    ].join("");
+    return `<table:table-cell${attrs}><text:p>${escapeXml(c.text ?? "")}</text:p></table:table-cell>`;
+  };
+  return `<table:table>${rows.map((r) => `<table:table-row>${r.map(cell).join("")}</table:table-row>`).join("")}</table:table>`;
+}
+
+/** ODT como `File` (zip com mimetype e content.xml). */
+export async function buildOdt(body, name = "fixture.odt") {
+  const zip = new JSZip();
+  zip.file("mimetype", "application/vnd.oasis.opendocument.text");
+  zip.file(
+    "content.xml",
+    `<?xml version="1.0" encoding="UTF-8"?><office:document-content ${NS}><office:body><office:text>${body.join(
+      ""
+    )}</office:text></office:body></office:document-content>`
+  );
+  const bytes = await zip.generateAsync({ type: "uint8array" });
+  return new File([bytes], name);
+}
+
+/** HTML como `File`, com o corpo informado dentro de <body>. */
+export function buildHtml(body, name = "fixture.html") {
+  return new File([`<html><head><meta charset="utf-8"><title>Planilha</title></head><body>${body}</body></html>`], name);
+}
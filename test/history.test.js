@@ -0,0 +1,82 @@
+import "fake-indexeddb/auto";
+import { beforeEach, describe, expect, it } from "vitest";
+import {
+  HISTORY_LIMIT,
+  clearHistory,
+  deleteRun,
+  listRuns,
+  loadRunResult,
+  saveRun,
+  updateRunResult,
+} from "../src/core/history.js";
+
+const entry = (arquivo) => ({
+  criado_em: "2026-01-02T03:04:05.000Z",
+  arquivo,
+  arquivos: [{ name: arquivo, size: 10, sha256: "ab" }],
+  metricas: { tables_total: 1, itens_tables: 1, rows_extracted: 1, rows_ignored: 0, totals_divergent: 0 },
+  config: { detection: {}, columnOverrides: {}, aggRule: "code_desc", aggBySection: false, catalogo: "" },
+});
+
+const result = (codigo) => ({
+  items: [{ codigo, descricao: "Tubo", quantidade: 1 }],
+  meta: {},
+  ignoredRows: [],
+  logText: `log ${codigo}`,
+  aggItems: [],
+  audit: [],
+  catalog: { name: "ref.csv", importedAt: "2026-01-01", entries: [[codigo, "Tubo", "m", null]] },
+});
+
+describe("historico", () => {
+  beforeEach(async () => {
+    await clearHistory();
+  });
+
+  it("guarda a execucao e o resultado com o catalogo", async () => {
+    const id = await saveRun(entry("a.docx"), result("1.1"));
+
+    const runs = await listRuns();
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ id, arquivo: "a.docx" });
+
+    const r = await loadRunResult(id);
+    expect(r.logText).toBe("log 1.1");
+    expect(r.catalog.entries).toEqual([["1.1", "Tubo", "m", null]]);
+  });
+
+  it("lista da mais recente para a mais antiga", async () => {
+    await saveRun(entry("a.docx"), result("1"));
+    await saveRun(entry("b.docx"), result("2"));
+    expect((await listRuns()).map((e) => e.arquivo)).toEqual(["b.docx", "a.docx"]);
+  });
+
+  it("troca o resultado sem mexer no resumo", async () => {
+    const id = await saveRun(entry("a.docx"), result("1"));
+    await updateRunResult(id, { ...result("1"), logText: "editado" });
+    expect((await loadRunResult(id)).logText).toBe("editado");
+    expect(await listRuns()).toHaveLength(1);
+  });
+
+  it("apaga as mais antigas alem do limite", async () => {
+    const ids = [];
+    for (let i = 0; i < HISTORY_LIMIT + 2; i++) ids.push(await saveRun(entry(`${i}.docx`), result(String(i))));
+
+    const runs = await listRuns();
+    expect(runs).toHaveLength(HISTORY_LIMIT);
+    expect(runs.at(-1).arquivo).toBe("2.docx");
+    expect(await loadRunResult(ids[0])).toBeUndefined();
+    expect(await loadRunResult(ids[1])).toBeUndefined();
+    expect(await loadRunResult(ids[2])).toBeDefined();
+  });
+
+  it("exclui a execucao e o resultado", async () => {
+    const keep = await saveRun(entry("a.docx"), result("1"));
+    const gone = await saveRun(entry("b.docx"), result("2"));
+
+    await deleteRun(gone);
+    expect((await listRuns()).map((e) => e.id)).toEqual([keep]);
+    expect(await loadRunResult(gone)).toBeUndefined();
+    expect(await loadRunResult(keep)).toBeDefined();
+  });
+});
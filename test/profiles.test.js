@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_DETECTION } from "../src/core/extract.js";
+import {
+  applyProfile,
+  makeProfile,
+  matchesProfile,
+  normalizeProfile,
+  parseProfilesJson,
+  profilesJson,
+} from "../src/core/profiles.js";
+
+const clienteX = makeProfile(
+  "Cliente X",
+  { ...DEFAULT_DETECTION, keywords: ["item"], codePattern: "^[A-Z]+\\d+$", ndAsEmpty: false, columns: { quantidade: 3 } },
+  "code_only",
+  true
+);
+
+describe("perfis", () => {
+  it("guarda so as opcoes que nao dependem do arquivo", () => {
+    const p = makeProfile("P", { ...DEFAULT_DETECTION, mode: "manual", selected: ["a.docx#T1"] }, "code_desc", false);
+    expect(p.detection).not.toHaveProperty("mode");
+    expect(p.detection).not.toHaveProperty("selected");
+  });
+
+  it("aplica o perfil mantendo modo e tabelas marcadas", () => {
+    const current = { ...DEFAULT_DETECTION, mode: "manual", selected: ["a.docx#T2"] };
+    const next = applyProfile(clienteX, current);
+    expect(next.mode).toBe("manual");
+    expect(next.selected).toEqual(["a.docx#T2"]);
+    expect(next.keywords).toEqual(["item"]);
+    expect(matchesProfile(clienteX, next, "code_only", true)).toBe(true);
+    expect(matchesProfile(clienteX, { ...next, headerRows: 2 }, "code_only", true)).toBe(false);
+  });
+
+  it("exporta e importa o mesmo perfil", () => {
+    expect(parseProfilesJson(profilesJson([clienteX]))).toEqual([clienteX]);
+  });
+
+  it("completa campos ausentes com os padroes", () => {
+    const p = normalizeProfile({ name: "Minimo", detection: { keywords: ["itens", "servicos"] } });
+    expect(p.aggRule).toBe("code_desc");
+    expect(p.detection.ndAsEmpty).toBe(true);
+    expect(p.detection.columns).toEqual({});
+  });
+
+  it.each([
+    [{ detection: {} }, /falta o nome/],
+    [{ name: "X", aggRule: "soma" }, /regra de consolidacao/],
+    [{ name: "X", detection: { codePattern: "([" } }, /Padrao de codigo invalido/],
+    [{ name: "X", detection: { columns: { preco: 1 } } }, /coluna desconhecida/],
+    [{ name: "X", detection: { codePresets: ["tcpo"] } }, /Padrao de codigo desconhecido/],
+    [{ name: "X", detection: { descNormalize: { spaces: "sim" } } }, /descNormalize.spaces/],
+  ])("recusa perfil invalido %#", (raw, message) => {
+    expect(() => normalizeProfile(raw)).toThrow(message);
+  });
+
+  it("recusa JSON de outro formato", () => {
+    expect(() => parseProfilesJson('{"formato":"outro","perfis":[]}')).toThrow(/Formato de perfis/);
+    expect(() => parseProfilesJson("nao e json")).toThrow(/JSON valido/);
+  });
+});